@@ -0,0 +1,79 @@
+// Compares requests per second through a controller with 20 inherited
+// filters, with and without the per-action handler chain cache. Kept out of
+// the test suite; run it with `npm run bench`.
+
+import Promise from 'bluebird';
+import assign from 'lodash/object/assign';
+import Controller from '../lib/index';
+import { createRequest, createResponse } from '../lib/testing';
+
+const REQUESTS = 20000;
+
+function resolved() {
+  return Promise.resolve();
+}
+
+function createControllerClass(extensions) {
+  let Base = Controller.extend({
+    filters() {
+      for (let i = 0; i < 10; i += 1) {
+        this.before(`base${ i }`, { except: 'destroy' });
+      }
+    }
+  });
+  let Klass = Base.extend(assign({
+    filters() {
+      for (let i = 0; i < 10; i += 1) {
+        this.before(`filter${ i }`);
+      }
+      this.skipBefore('base0', { only: 'update' });
+    },
+    show(req, res) {
+      res.json({ id: req.params.id });
+      return Promise.resolve();
+    }
+  }, extensions));
+  for (let i = 0; i < 10; i += 1) {
+    Base.prototype[`base${ i }`] = resolved;
+    Klass.prototype[`filter${ i }`] = resolved;
+  }
+  return Klass;
+}
+
+// Call the action directly rather than through `dispatch()`, which subscribes
+// to instrumentation events for every request
+function measure(label, controller) {
+  let start = process.hrtime();
+  let remaining = REQUESTS;
+  let next = () => {
+    if (remaining === 0) {
+      let [ seconds, nanoseconds ] = process.hrtime(start);
+      console.log(`${ label }: ${ Math.round(REQUESTS / (seconds + nanoseconds / 1e9)) } req/s`);
+      return;
+    }
+    remaining -= 1;
+    let req = createRequest({ params: { id: '1' } });
+    return controller.action('show', req, createResponse(), (err) => {
+      if (err) {
+        throw err;
+      }
+    }).then(next);
+  };
+  return next();
+}
+
+function run() {
+  let Cached = createControllerClass();
+  // Recompiles the handler list on every request, as before the cache
+  let Uncached = createControllerClass({
+    _buildHandlers(actionName) {
+      return this._compileHandlers(actionName);
+    }
+  });
+  return measure('uncached', new Uncached())
+  .then(() => measure('cached', new Cached()));
+}
+
+if (require.main === module) {
+  run();
+}
@@ -0,0 +1,2 @@
+// Allows `import { MemoryStore } from 'foraker/cache'`
+module.exports = require('./dist/response-cache');
@@ -0,0 +1,2 @@
+// Allows `import { ParameterMissingError } from 'foraker/errors'`
+module.exports = require('./dist/errors');
@@ -0,0 +1,72 @@
+import CoreObject from 'core-object';
+
+/**
+ * A stand-in for `AbortSignal` on versions of node without one. Supports
+ * `aborted`, `reason`, `onabort`, `addEventListener('abort', listener)`,
+ * `removeEventListener()`, and `throwIfAborted()`.
+ *
+ * @private
+ */
+const Signal = CoreObject.extend({
+
+  init() {
+    this._super.apply(this, arguments);
+    this.aborted = false;
+    this.reason = undefined;
+    this.onabort = null;
+    this._listeners = [];
+  },
+
+  addEventListener(type, listener) {
+    if (type === 'abort') {
+      this._listeners.push(listener);
+    }
+  },
+
+  removeEventListener(type, listener) {
+    this._listeners = this._listeners.filter((l) => l !== listener);
+  },
+
+  throwIfAborted() {
+    if (this.aborted) {
+      throw this.reason;
+    }
+  },
+
+  _abort(reason) {
+    if (this.aborted) {
+      return;
+    }
+    this.aborted = true;
+    this.reason = reason;
+    let event = { type: 'abort', target: this };
+    if (this.onabort) {
+      this.onabort(event);
+    }
+    this._listeners.forEach((listener) => listener.call(this, event));
+  }
+
+});
+
+/**
+ * Create an abort controller - an object with a `signal`, and an
+ * `abort(reason)` method which aborts it. Uses node's own `AbortController`
+ * where there is one, so the signal can be passed straight on to APIs that
+ * accept one (i.e. `fetch()`).
+ *
+ * @private
+ *
+ * @return {Object}
+ */
+export default function createAbortController() {
+  if (typeof global.AbortController === 'function') {
+    return new global.AbortController();
+  }
+  let signal = new Signal();
+  return {
+    signal,
+    abort(reason) {
+      signal._abort(reason);
+    }
+  };
+}
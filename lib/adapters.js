@@ -0,0 +1,230 @@
+import http from 'http';
+import contains from 'lodash/collection/contains';
+import forEach from 'lodash/collection/forEach';
+import assign from 'lodash/object/assign';
+import isEqual from 'lodash/lang/isEqual';
+
+/**
+ * Helpers for the differences between the frameworks foraker can run under:
+ * Express (or anything Connect compatible), Koa, and plain node http servers.
+ *
+ * @title Adapters
+ */
+
+/**
+ * Returns true if the response is a Koa response object (i.e. `ctx.response`)
+ * rather than a node / Express response.
+ *
+ * @param  {Response}  res
+ *
+ * @return {Boolean}
+ */
+export function isKoaResponse(res) {
+  return Boolean(res && res.ctx && res.ctx.response === res);
+}
+
+/**
+ * Returns true if the response is complete. Koa only sends the response once
+ * all the middleware has finished, so a Koa response counts as complete once
+ * a body or status has been set (or Koa has been told not to respond). Node
+ * and Express responses are complete once their headers have been sent.
+ *
+ * @param  {Response}  res
+ *
+ * @return {Boolean}
+ */
+export function isResponseComplete(res) {
+  if (isKoaResponse(res)) {
+    let hasBody = res.body !== undefined && res.body !== null;
+    return Boolean(res.headerSent || hasBody || res._explicitStatus || res.ctx.respond === false);
+  }
+  return Boolean(res.headersSent);
+}
+
+/**
+ * Return the underlying node response for a response (i.e. `ctx.res` for a
+ * Koa response).
+ *
+ * @param  {Response}  res
+ *
+ * @return {http.ServerResponse}
+ */
+export function nodeResponse(res) {
+  return isKoaResponse(res) ? res.res : res;
+}
+
+/**
+ * Clear the body and status set on a Koa response, so it counts as incomplete
+ * again (i.e. so an error can be sent instead). Koa only sends the response
+ * once all the middleware has finished, so until then it can be taken back.
+ *
+ * @param  {Response}  res  a Koa response
+ */
+export function resetKoaResponse(res) {
+  res.body = undefined;
+  res.status = 404;
+  res._explicitStatus = false;
+}
+
+/**
+ * Set a response header.
+ *
+ * @param  {Response}  res
+ * @param  {String}  name
+ * @param  {String}  value
+ */
+export function setHeader(res, name, value) {
+  if (isKoaResponse(res)) {
+    res.set(name, value);
+  } else {
+    res.setHeader(name, value);
+  }
+}
+
+/**
+ * Add a request header to the response's `Vary` header, unless it is already
+ * listed (or the response varies on everything).
+ *
+ * @param  {Response}  res
+ * @param  {String}  field  the request header name, i.e. 'Accept'
+ */
+export function appendVary(res, field) {
+  let current = isKoaResponse(res) ? res.get('Vary') : res.getHeader('Vary');
+  if (!current) {
+    setHeader(res, 'Vary', field);
+    return;
+  }
+  let fields = String(current).split(',').map((name) => name.trim().toLowerCase());
+  if (!contains(fields, '*') && !contains(fields, field.toLowerCase())) {
+    setHeader(res, 'Vary', `${ current }, ${ field }`);
+  }
+}
+
+/**
+ * Respond with just a status code (and its standard message as the body,
+ * unless it is a status that can't have one).
+ *
+ * @param  {Response}  res
+ * @param  {Number}  status
+ */
+export function sendStatus(res, status) {
+  let body = status === 204 || status === 304 ? undefined : http.STATUS_CODES[status];
+  if (isKoaResponse(res)) {
+    res.status = status;
+    if (body) {
+      res.body = body;
+    }
+    return;
+  }
+  res.statusCode = status;
+  res.end(body);
+}
+
+/**
+ * Convert a chunk written to a node response to a Buffer.
+ *
+ * @private
+ */
+function toBuffer(chunk, encoding) {
+  if (Buffer.isBuffer(chunk)) {
+    return chunk;
+  }
+  return Buffer.from ? Buffer.from(chunk, encoding) : new Buffer(chunk, encoding);
+}
+
+/**
+ * Return the headers currently set on a response, keyed by lowercased name.
+ *
+ * @private
+ */
+function headersOf(res) {
+  if (isKoaResponse(res)) {
+    return res.headers || {};
+  }
+  return (typeof res.getHeaders === 'function' ? res.getHeaders() : res._headers) || {};
+}
+
+/**
+ * Return the headers set on a response since `before` was taken, without any
+ * that shouldn't be replayed to another client. Headers set earlier in the
+ * request (i.e. by a rate limit or request id filter) belong to that request,
+ * not the cached response.
+ *
+ * @private
+ */
+function replayableHeaders(res, before) {
+  let headers = {};
+  forEach(headersOf(res), (value, name) => {
+    if (name !== 'set-cookie' && !isEqual(value, before[name])) {
+      headers[name] = value;
+    }
+  });
+  return headers;
+}
+
+/**
+ * Start recording what is sent on a response. Returns a function which, once
+ * the response has been sent, returns a snapshot of it - its `status`,
+ * `headers`, and `body` - for `replayResponse()`. The snapshot is null if the
+ * body can't be replayed (i.e. a Koa stream).
+ *
+ * @param  {Response}  res
+ *
+ * @return {Function}
+ */
+export function captureResponse(res) {
+  let before = assign({}, headersOf(res));
+  if (isKoaResponse(res)) {
+    return () => {
+      let body = res.body;
+      if (body && typeof body.pipe === 'function') {
+        return null;
+      }
+      return { status: res.status, headers: replayableHeaders(res, before), body };
+    };
+  }
+  let chunks = [];
+  let ending = false;
+  let { write, end } = res;
+  res.write = function(chunk, encoding) {
+    // Some responses write the final chunk via write() from end(), which has
+    // already recorded it
+    if (chunk && !ending) {
+      chunks.push(toBuffer(chunk, encoding));
+    }
+    return write.apply(this, arguments);
+  };
+  res.end = function(chunk, encoding) {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(toBuffer(chunk, encoding));
+    }
+    ending = true;
+    return end.apply(this, arguments);
+  };
+  return () => {
+    return { status: res.statusCode, headers: replayableHeaders(res, before), body: Buffer.concat(chunks) };
+  };
+}
+
+/**
+ * Send a response recorded by `captureResponse()`. Headers already set on the
+ * response are left as they are.
+ *
+ * @param  {Response}  res
+ * @param  {Object}  snapshot
+ */
+export function replayResponse(res, { status, headers, body }) {
+  let current = headersOf(res);
+  forEach(headers, (value, name) => {
+    if (current[name] === undefined) {
+      setHeader(res, name, value);
+    }
+  });
+  if (isKoaResponse(res)) {
+    res.status = status;
+    res.body = body;
+    return;
+  }
+  res.statusCode = status;
+  res.end(body);
+}
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import padRight from 'lodash/string/padRight';
+import { Concern } from './concern';
+
+const USAGE = `Usage: foraker routes <controllers directory>
+
+Prints the routes and filters for every controller in the directory, assuming
+each one is mounted with resource() at a path matching its file name.
+`;
+
+/**
+ * Recursively list the .js files in a directory, sorted by path.
+ *
+ * @private
+ */
+function jsFiles(dir) {
+  return fs.readdirSync(dir).sort().reduce((files, entry) => {
+    let file = path.join(dir, entry);
+    if (fs.statSync(file).isDirectory()) {
+      return files.concat(jsFiles(file));
+    }
+    return path.extname(file) === '.js' ? files.concat(file) : files;
+  }, []);
+}
+
+/**
+ * Pad each column of a table of strings out to the same width.
+ *
+ * @private
+ */
+function formatTable(rows) {
+  let widths = rows[0].map((cell, i) => Math.max(...rows.map((row) => row[i].length)));
+  return rows.map((row) => {
+    return row.map((cell, i) => {
+      return i === row.length - 1 ? cell : padRight(cell, widths[i]);
+    }).join('  ').replace(/\s+$/, '');
+  }).join('\n');
+}
+
+/**
+ * Load every controller class in a directory (and its subdirectories). Each
+ * controller is named after its path within the directory, without the .js
+ * extension (i.e. `admin/posts`). Files that don't export a controller are
+ * ignored.
+ *
+ * @title CLI
+ *
+ * @param  {String} dir  the controllers directory
+ *
+ * @return {Array}       an array of `{ name, Controller }` objects
+ */
+export function loadControllers(dir) {
+  return jsFiles(dir).map((file) => {
+    let exported = require(path.resolve(file));
+    let Controller = exported && exported.default || exported;
+    let name = path.relative(dir, file).replace(/\.js$/, '').split(path.sep).join('/');
+    return { name, Controller };
+  }).filter(({ Controller }) => {
+    return typeof Controller === 'function' &&
+           Controller.prototype &&
+           typeof Controller.prototype.describe === 'function';
+  });
+}
+
+/**
+ * Build a table of the routes, actions, and filters for the given controllers,
+ * like `rake routes`. Filters inherited from another controller (or added by a
+ * concern) are labelled with the controller they came from.
+ *
+ * @param  {Array} controllers  an array of `{ name, Controller }` objects, as
+ * returned by `loadControllers()`
+ *
+ * @return {String}             the formatted table
+ */
+export function routesTable(controllers) {
+  let nameFor = (proto) => {
+    let match = controllers.filter(({ Controller }) => Controller.prototype === proto)[0];
+    if (match) {
+      return match.name;
+    }
+    if (proto instanceof Concern) {
+      return proto.name || '(concern)';
+    }
+    return proto.hasOwnProperty('constructor') && proto.constructor.name || '(anonymous)';
+  };
+  let noop = () => {};
+  let router = { get: noop, post: noop, put: noop, patch: noop, delete: noop };
+  let rows = [ [ 'Verb', 'Path', 'Action', 'Filters' ] ];
+  controllers.forEach(({ name, Controller }) => {
+    let controller = new Controller();
+    let routes = controller.resource(router, `/${ name }`);
+    controller.describe().forEach(({ action, filters }) => {
+      let filterList = [ 'before', 'around', 'after' ].map((stage) => {
+        let names = filters.filter((filter) => filter.stage === stage && !filter.excludedBy).map((filter) => {
+          let definedBy = nameFor(filter.definedBy);
+          return definedBy === name ? filter.name : `${ filter.name } [${ definedBy }]`;
+        });
+        return names.length > 0 ? `${ stage }: ${ names.join(', ') }` : null;
+      }).filter(Boolean).join('; ');
+      let actionRoutes = routes.filter((route) => route.action === action);
+      if (actionRoutes.length === 0) {
+        actionRoutes = [ { method: '', path: '' } ];
+      }
+      actionRoutes.forEach((route) => {
+        rows.push([ route.method.toUpperCase(), route.path, `${ name }#${ action }`, filterList ]);
+      });
+    });
+  });
+  return formatTable(rows);
+}
+
+/**
+ * Run the foraker command line tool.
+ *
+ * @param  {Array}  argv  the command line arguments (without the node binary
+ * and script path)
+ * @param  {Stream} out   where to write the output
+ *
+ * @return {Number}       the exit code
+ */
+export default function cli(argv, out = process.stdout) {
+  let [ command, dir ] = argv;
+  if (command !== 'routes' || !dir) {
+    out.write(USAGE);
+    return 1;
+  }
+  out.write(`${ routesTable(loadControllers(path.resolve(dir))) }\n`);
+  return 0;
+}
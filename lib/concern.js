@@ -0,0 +1,71 @@
+import CoreObject from 'core-object';
+import assign from 'lodash/object/assign';
+import omit from 'lodash/object/omit';
+
+/**
+ * The class-level declarations a concern can make. These aren't copied on to
+ * the controllers that include the concern; they are collected alongside the
+ * controllers' own declarations instead.
+ *
+ * @private
+ */
+const DECLARATIONS = [ 'filters', 'routes', 'validates', 'permittedParams' ];
+
+/**
+ * A reusable bundle of filters, actions, and helper methods that can be
+ * included in any controller (see `Controller.concern()`).
+ *
+ * @class Concern
+ */
+export const Concern = CoreObject.extend({
+
+  init(definition) {
+    this._super();
+    this.definition = definition;
+    this.name = typeof definition.name === 'string' ? definition.name : null;
+  },
+
+  /**
+   * Return the methods (and any other properties) to copy on to the
+   * prototype of controllers that include this concern.
+   *
+   * @method properties
+   *
+   * @return {Object}
+   */
+  properties() {
+    let excluded = this.name ? DECLARATIONS.concat('name') : DECLARATIONS;
+    return omit(this.definition, excluded);
+  }
+
+});
+
+/**
+ * Wrap core-object's `extend()` so it also accepts concerns, i.e.
+ * `Controller.extend(Paginatable, Searchable, { ... })`. The concerns'
+ * methods are copied on to the new class's prototype in order, followed by
+ * the class's own properties, so later ones win. The concerns themselves are
+ * recorded on the prototype (as `_concerns`) so their declarations can be
+ * collected. Classes created this way get the same `extend()`.
+ *
+ * @private
+ *
+ * @param  {Function}  baseExtend  core-object's `extend()`
+ *
+ * @return {Function}  the wrapped `extend()`
+ */
+export function extendWithConcerns(baseExtend) {
+  return function extend(...mixins) {
+    let concerns = mixins.filter((mixin) => mixin instanceof Concern);
+    let properties = {};
+    mixins.forEach((mixin) => {
+      assign(properties, mixin instanceof Concern ? mixin.properties() : mixin);
+    });
+    let Klass = baseExtend.call(this, properties);
+    if (concerns.length > 0) {
+      Klass.prototype._concerns = concerns;
+    }
+    Klass.extend = extend;
+    return Klass;
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Errors thrown by foraker. Each has a `status` property with the HTTP status
+ * code it maps to, which Express's default error handler respects, and which
+ * your own error handlers (or `rescueFrom` handlers) can use as well.
+ *
+ * @title Errors
+ */
+
+/**
+ * The base class for foraker's errors.
+ *
+ * @class ForakerError
+ */
+export class ForakerError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    // Extending Error doesn't set these when transpiled, so set them by hand
+    this.name = 'ForakerError';
+    this.message = message;
+    this.status = status;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+}
+
+/**
+ * Thrown when a required request parameter is missing or empty. Maps to a 400
+ * Bad Request response.
+ *
+ * @class ParameterMissingError
+ */
+export class ParameterMissingError extends ForakerError {
+  constructor(param) {
+    super(`Missing required parameter: ${ param }`, 400);
+    this.name = 'ParameterMissingError';
+    this.param = param;
+  }
+}
+
+/**
+ * Thrown when a request fails validation. Maps to a 422 Unprocessable Entity
+ * response. The `errors` property lists every failure, as `{ path, message }`
+ * objects (i.e. `{ path: 'body.title', message: 'is required' }`).
+ *
+ * @class ValidationError
+ */
+export class ValidationError extends ForakerError {
+  constructor(errors) {
+    super(`Validation failed: ${ errors.map(({ path, message }) => `${ path } ${ message }`).join(', ') }`, 422);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when an action (including its filters) takes longer than its
+ * timeout. Maps to a 503 Service Unavailable response.
+ *
+ * @class TimeoutError
+ */
+export class TimeoutError extends ForakerError {
+  constructor(action, timeout) {
+    super(`The ${ action } action timed out after ${ timeout }ms`, 503);
+    this.name = 'TimeoutError';
+    this.action = action;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown by `authorize()` when the policy doesn't allow the current user to
+ * perform the query on the record. Maps to a 403 Forbidden response.
+ *
+ * @class ForbiddenError
+ */
+export class ForbiddenError extends ForakerError {
+  constructor(query, record, policy) {
+    super(`Not allowed to ${ query } this record`, 403);
+    this.name = 'ForbiddenError';
+    this.query = query;
+    this.record = record;
+    this.policy = policy;
+  }
+}
+
+/**
+ * Thrown by the `verifyAuthorized` around filter when an action responds
+ * without calling `authorize()` (or `skipAuthorization()`) first.
+ *
+ * @class AuthorizationNotPerformedError
+ */
+export class AuthorizationNotPerformedError extends ForakerError {
+  constructor(action) {
+    super(`The ${ action } action finished without calling authorize()`);
+    this.name = 'AuthorizationNotPerformedError';
+    this.action = action;
+  }
+}
+
+/**
+ * Thrown by `paginate()` when the `cursor` query parameter isn't one that it
+ * generated. Maps to a 400 Bad Request response.
+ *
+ * @class InvalidCursorError
+ */
+export class InvalidCursorError extends ForakerError {
+  constructor(cursor) {
+    super(`Invalid pagination cursor: ${ cursor }`, 400);
+    this.name = 'InvalidCursorError';
+    this.cursor = cursor;
+  }
+}
@@ -1,12 +1,18 @@
 import CoreObject from 'core-object';
 import ensureArray from 'ensure-array';
-import findWhere from 'lodash/collection/findWhere';
+import filter from 'lodash/collection/filter';
+import findIndex from 'lodash/array/findIndex';
+import assign from 'lodash/object/assign';
+import responseCacheFilters from './response-cache';
+import rateLimitFilter, { SlidingWindowStore } from './rate-limit';
+import pick from 'lodash/object/pick';
+import omit from 'lodash/object/omit';
 
 
 /**
  * The filter DSL allows you to add filters to a controller. Filters can be run
- * before or after specific actions, can be skipped, are promise-aware, and
- * more.
+ * before, after, or around specific actions, can be skipped, are
+ * promise-aware, and more.
  *
  * @title Filter DSL
  */
@@ -15,6 +21,7 @@ export default CoreObject.extend({
   init() {
     this._super.apply(this, arguments);
     this.filters = [];
+    this.rescuers = [];
   },
 
   /**
@@ -30,11 +37,39 @@ export default CoreObject.extend({
    * names that are the only actions that this filter should be run for.
    * @param  {String|Array} options.except  A action name or array of action
    * names that are the only actions that this filter should not be run for.
+   * @param  {String|Function} options.if  A method name or function which is
+   * invoked with the req for each request; the filter only runs if it returns
+   * (or resolves to) a truthy value.
+   * @param  {String|Function} options.unless  Like `if`, but the filter only
+   * runs if it returns (or resolves to) a falsy value.
+   * @param  {String|Function} options.before  Insert this filter immediately
+   * before a previously added filter of the same kind, rather than at the end.
+   * @param  {String|Function} options.after  Insert this filter immediately
+   * after a previously added filter of the same kind, rather than at the end.
    */
   before(name, options) {
     this._filter(name, 'before', options);
   },
 
+  /**
+   * Add a before filter to the front of the list of filters, so it runs ahead
+   * of all the filters added so far (including those inherited from parent
+   * controllers).
+   *
+   * @method prependBefore
+   *
+   * @param  {String|Function} name    Either a string name of the filter
+   * method defined on the controller, or the filter function itself.
+   * @param  {Object} options   The same options accepted by `before()`, except
+   * for the `before` / `after` placement options.
+   */
+  prependBefore(name, options = {}) {
+    if (options.before || options.after) {
+      throw new Error(`You cannot supply 'before' or 'after' placement options when prepending the ${ filterName(name) } filter`);
+    }
+    this._filter(name, 'before', options, 0);
+  },
+
   /**
    * Add an after filter. The filter will execute after any matching actions,
    * and will wait for any returned promises to be resolved.
@@ -48,11 +83,167 @@ export default CoreObject.extend({
    * names that are the only actions that this filter should be run for.
    * @param  {String|Array} options.except  A action name or array of action
    * names that are the only actions that this filter should not be run for.
+   * @param  {String|Function} options.if  A method name or function which is
+   * invoked with the req for each request; the filter only runs if it returns
+   * (or resolves to) a truthy value.
+   * @param  {String|Function} options.unless  Like `if`, but the filter only
+   * runs if it returns (or resolves to) a falsy value.
+   * @param  {String|Function} options.before  Insert this filter immediately
+   * before a previously added filter of the same kind, rather than at the end.
+   * @param  {String|Function} options.after  Insert this filter immediately
+   * after a previously added filter of the same kind, rather than at the end.
    */
   after(name, options) {
     this._filter(name, 'after', options);
   },
 
+  /**
+   * Add an around filter. The filter is invoked with the req, res, and a
+   * `proceed()` function. Calling `proceed()` runs the rest of the before
+   * filters, the action, and the after filters, and returns a promise that
+   * resolves once they are done. Around filters must return a promise.
+   *
+   *     transaction(req, res, proceed) {
+   *       return db.begin().then(() => proceed()).then(() => db.commit());
+   *     }
+   *
+   * @method around
+   *
+   * @param  {String|Function} name    Either a string name of the filter
+   * method defined on the controller, or the filter function itself.
+   * @param  {Object} options
+   * @param  {String|Array} options.only  A action name or array of action
+   * names that are the only actions that this filter should be run for.
+   * @param  {String|Array} options.except  A action name or array of action
+   * names that are the only actions that this filter should not be run for.
+   * @param  {String|Function} options.if  A method name or function which is
+   * invoked with the req for each request; the filter only runs if it returns
+   * (or resolves to) a truthy value.
+   * @param  {String|Function} options.unless  Like `if`, but the filter only
+   * runs if it returns (or resolves to) a falsy value.
+   * @param  {String|Function} options.before  Insert this filter immediately
+   * before a previously added filter of the same kind, rather than at the end.
+   * @param  {String|Function} options.after  Insert this filter immediately
+   * after a previously added filter of the same kind, rather than at the end.
+   */
+  around(name, options) {
+    this._filter(name, 'around', options);
+  },
+
+  /**
+   * Cache the responses of the given actions. On a cache hit, the cached
+   * status, headers, and body are sent before the action runs (completing the
+   * request, so later filters and the action are skipped). On a miss, the
+   * response the action sends is stored if it was a 200. Only GET requests are
+   * cached (HEAD requests are served from the cache too).
+   *
+   * This adds a `cacheLookup` before filter and a `cacheStore` after filter,
+   * at the current position in the filter list - so filters added before it
+   * (i.e. authentication) still run for cached responses. They can be referred
+   * to by those names when skipping or positioning filters, i.e.
+   * `this.skipBefore('cacheLookup', { only: 'index' })`.
+   *
+   *     this.caches('index', { ttl: 60000, key: (req) => `posts:${ req.query.page }` });
+   *
+   * @method caches
+   *
+   * @param  {String|Array} actions  the action name(s) to cache
+   * @param  {Object} options
+   * @param  {Number} options.ttl  how long to cache responses for, in
+   * milliseconds (forever, if not given)
+   * @param  {Function} options.key  invoked with the req, returns the cache key
+   * (or a promise for it). Defaults to the action name, the request url, and
+   * the Accept header.
+   * Including a version in the key (i.e. a record's `updatedAt`) is the
+   * simplest way to invalidate cached responses.
+   * @param  {Object} options.store  where to cache responses - see
+   * `MemoryStore` for the interface. Defaults to a new in-memory LRU store.
+   */
+  caches(actions, options = {}) {
+    let { cacheLookup, cacheStore } = responseCacheFilters(options);
+    this._filter(cacheLookup, 'before', { only: actions }).alias = 'cacheLookup';
+    this._filter(cacheStore, 'after', { only: actions }).alias = 'cacheStore';
+  },
+
+  /**
+   * Limit how many requests each client can make. Once a client is over the
+   * limit, the filter responds with a 429 Too Many Requests and a
+   * `Retry-After` header (completing the request, so the action doesn't run).
+   * The `X-RateLimit-Limit`, `X-RateLimit-Remaining`, and `X-RateLimit-Reset`
+   * headers are set on every response.
+   *
+   * The filter can be referred to by its name (`'rateLimit'` by default) when
+   * skipping or positioning filters, i.e. `this.skipBefore('rateLimit')`.
+   * Declaring a rate limit with the same name as an inherited one replaces
+   * it, in the same position in the filter list.
+   *
+   *     this.rateLimit({ max: 100, windowMs: 60000, except: 'health' });
+   *
+   * @method rateLimit
+   *
+   * @param  {Object} options
+   * @param  {String} options.name  defaults to 'rateLimit'. Give limits
+   * different names to apply more than one.
+   * @param  {Number} options.max  requests allowed per window (defaults to 60)
+   * @param  {Number} options.windowMs  the window length in milliseconds
+   * (defaults to a minute)
+   * @param  {Function} options.key  invoked with the req (and the request's
+   * context as `this`), returns the key to count requests against (or a
+   * promise for it). Defaults to the id of `req.user`, or the client's IP.
+   * @param  {Object} options.store  where to count requests - see
+   * `SlidingWindowStore` for the interface. Defaults to an in-memory store,
+   * shared by every subclass of the controller that declares the limit.
+   * @param  {String|Array} options.only
+   * @param  {String|Array} options.except
+   * @param  {String|Function} options.if
+   * @param  {String|Function} options.unless
+   * @param  {String|Function} options.before
+   * @param  {String|Function} options.after
+   */
+  rateLimit(options = {}) {
+    let filterOptionNames = [ 'only', 'except', 'if', 'unless', 'before', 'after' ];
+    let name = options.name || 'rateLimit';
+    let filterOptions = pick(options, filterOptionNames);
+    let limiterOptions = assign({ store: this._rateLimitStore(name) }, omit(options, filterOptionNames), { name });
+    let limiter = rateLimitFilter(limiterOptions);
+    let index;
+    let existing = findIndex(this.filters, (f) => f.alias === name && f.stage === 'before');
+    if (existing > -1) {
+      this.filters.splice(existing, 1);
+      if (!filterOptions.before && !filterOptions.after) {
+        index = existing;
+      }
+    }
+    this._filter(limiter, 'before', filterOptions, index).alias = name;
+  },
+
+  /**
+   * Return the default store for a rate limit. `filters()` runs once for each
+   * subclass of the controller that declares it, so the store is kept on the
+   * declaring prototype (or concern), and every subclass counts requests
+   * against the same limit.
+   *
+   * @method _rateLimitStore
+   * @private
+   *
+   * @param  {String} name  the rate limit's name
+   *
+   * @return {SlidingWindowStore}
+   */
+  _rateLimitStore(name) {
+    let owner = this.owner;
+    if (!owner) {
+      return new SlidingWindowStore();
+    }
+    if (!Object.prototype.hasOwnProperty.call(owner, '_rateLimitStores')) {
+      owner._rateLimitStores = {};
+    }
+    if (!owner._rateLimitStores[name]) {
+      owner._rateLimitStores[name] = new SlidingWindowStore();
+    }
+    return owner._rateLimitStores[name];
+  },
+
   /**
    * Add a filter to the list of all filters. Store the whitelist and the
    * blacklist options as well.
@@ -63,23 +254,102 @@ export default CoreObject.extend({
    * @param  {String|Function} name    Either a string name of the filter
    * method defined on the controller, or the filter function itself.
    * @param  {String} stage   When to run the filter, either "before" the
-   * action or "after" it.
+   * action, "after" it, or "around" it.
    * @param  {Object} options
    * @param  {String|Array} options.only  A action name or array of action
    * names that are the only actions that this filter should be run for.
    * @param  {String|Array} options.except  A action name or array of action
    * names that are the only actions that this filter should not be run for.
+   * @param  {String|Function} options.if  A method name or function which is
+   * invoked with the req for each request; the filter only runs if it returns
+   * (or resolves to) a truthy value.
+   * @param  {String|Function} options.unless  Like `if`, but the filter only
+   * runs if it returns (or resolves to) a falsy value.
+   * @param  {String|Function} options.before  Insert this filter immediately
+   * before a previously added filter of the same kind, rather than at the end.
+   * @param  {String|Function} options.after  Insert this filter immediately
+   * after a previously added filter of the same kind, rather than at the end.
+   * @param  {Number} index   Where to insert the filter. Defaults to the end
+   * of the list, or wherever the placement options say.
    */
-  _filter(name, stage, options = {}) {
-    if (typeof name !== 'string') {
-      throw new Error(`Filter names must be strings, saw ${ name } instead.`);
+  _filter(name, stage, options = {}, index) {
+    if (typeof name !== 'string' && typeof name !== 'function') {
+      throw new Error(`Filters must be either a method name or a function, saw ${ name } instead.`);
     }
+    [ 'if', 'unless' ].forEach((condition) => {
+      let value = options[condition];
+      if (value && typeof value !== 'string' && typeof value !== 'function') {
+        throw new Error(`The '${ condition }' option of the ${ filterName(name) } filter must be either a method name or a function, saw ${ value } instead.`);
+      }
+    });
     if (options.only && options.except) {
       throw new Error(`You cannot supply both 'only' and 'except' options to a filter`);
     }
+    if (options.before && options.after) {
+      throw new Error(`You cannot supply both 'before' and 'after' options to a filter`);
+    }
     options.only = ensureArray(options.only);
     options.except = ensureArray(options.except);
-    this.filters.push({ name, stage, options });
+    if (index === undefined) {
+      index = this._placementIndex(name, stage, options);
+    }
+    let record = { name, stage, options, skips: [], owner: this.owner };
+    this.filters.splice(index, 0, record);
+    return record;
+  },
+
+  /**
+   * Work out where a new filter should be inserted, based on its `before` /
+   * `after` placement options. Without either, it goes at the end.
+   *
+   * @method _placementIndex
+   * @private
+   *
+   * @param  {String|Function} name    the filter being added
+   * @param  {String} stage
+   * @param  {Object} options
+   *
+   * @return {Number}   the index to insert the filter at
+   */
+  _placementIndex(name, stage, options) {
+    let position = options.before ? 'before' : 'after';
+    let reference = options[position];
+    if (!reference) {
+      return this.filters.length;
+    }
+    // Match by reference, as _skip does
+    let referenceIndex = findIndex(this.filters, (f) => isFilter(f, reference, stage));
+    if (referenceIndex === -1) {
+      throw new Error(`You are trying to add the ${ filterName(name) } ${ stage } filter ${ position } the ${ filterName(reference) } ${ stage } filter, but it is not present!`);
+    }
+    // Remember that this filter's position matters to others
+    this.filters[referenceIndex].referenced = true;
+    return position === 'before' ? referenceIndex : referenceIndex + 1;
+  },
+
+  /**
+   * Handle errors of the given class (or its subclasses) with a rescue handler,
+   * rather than passing them on to next(err). The handler is invoked with the
+   * error, req, and res, and should send a response. It can return a promise.
+   *
+   * Rescue handlers are inherited. If more than one matches, the ones added
+   * by the most derived controller take precedence, and amongst those the
+   * handler for the most specific error class wins.
+   *
+   * @method rescueFrom
+   *
+   * @param  {Function} errorClass  The error class to rescue from
+   * @param  {String|Function} handler  Either a string name of the handler
+   * method defined on the controller, or the handler function itself.
+   */
+  rescueFrom(errorClass, handler) {
+    if (typeof errorClass !== 'function') {
+      throw new Error(`rescueFrom() requires an error class, saw ${ errorClass } instead.`);
+    }
+    if (typeof handler !== 'string' && typeof handler !== 'function') {
+      throw new Error(`Rescue handlers must be either a method name or a function, saw ${ handler } instead.`);
+    }
+    this.rescuers.push({ errorClass, handler, owner: this.owner });
   },
 
   /**
@@ -122,6 +392,26 @@ export default CoreObject.extend({
     this._skip(name, 'after', options);
   },
 
+  /**
+   * Skip a previously added around filter.
+   *
+   * @method skipAround
+   *
+   * @param  {String|Function} name    Either a string name of the filter
+   * method defined on the controller, or the filter function itself. _Note:
+   * if it is a function, it must be the same function (i.e. by reference)
+   * as was originally passed in when adding the filter._
+   * @param  {Object} options
+   * @param  {String|Array} options.only  A action name or array of action
+   * names that are the only actions that this filter should be skipped for.
+   * @param  {String|Array} options.except  A action name or array of action
+   * names that are the only actions that this filter should not be skipped
+   * for.
+   */
+  skipAround(name, options) {
+    this._skip(name, 'around', options);
+  },
+
   /**
    * Mark a previously added filter as skipped.
    *
@@ -133,7 +423,7 @@ export default CoreObject.extend({
    * if it is a function, it must be the same function (i.e. by reference)
    * as was originally passed in when adding the filter._
    * @param  {String} stage   What stage to skip for thi filter, either
-   * "before" or "after".
+   * "before", "after", or "around".
    * @param  {Object} options
    * @param  {String|Array} options.only  A action name or array of action
    * names that are the only actions that this filter should be skipped for.
@@ -142,19 +432,53 @@ export default CoreObject.extend({
    * for.
    */
   _skip(name, stage, options = {}) {
-    let filter = findWhere(this.filters, { name, stage });
-    if (!filter) {
-      throw new Error(`You are trying to skip the ${ name } ${ stage } filter, but it is not present!`);
+    // A filter may have been added more than once along the prototype chain,
+    // so skip every matching occurrence.
+    let matches = filter(this.filters, (f) => isFilter(f, name, stage));
+    if (matches.length === 0) {
+      throw new Error(`You are trying to skip the ${ filterName(name) } ${ stage } filter, but it is not present!`);
     }
-    options.only = ensureArray(options.only);
-    options.except = ensureArray(options.except);
-    if (options.only.length > 0) {
-      filter.options.except = filter.options.except.concat(options.only);
-    } else if (options.except.length > 0) {
-      filter.options.only = filter.options.only.concat(options.except);
-    } else {
-      filter.options.skip = true;
+    if (options.only && options.except) {
+      throw new Error(`You cannot supply both 'only' and 'except' options when skipping a filter`);
     }
+    // Skips are recorded separately from the filter's own only / except
+    // options, so we can tell why a filter didn't run for an action.
+    let skip = {
+      only: ensureArray(options.only),
+      except: ensureArray(options.except),
+      owner: this.owner
+    };
+    matches.forEach((match) => {
+      match.skips.push(skip);
+    });
   }
 
 });
+
+/**
+ * Returns true if a filter record is the given filter. Filters match by
+ * reference (rather than lodash's deep equality), so function filters only
+ * match the exact function that was added, or by their alias (i.e. the name
+ * of a rate limit).
+ *
+ * @private
+ */
+function isFilter(record, name, stage) {
+  return record.stage === stage && (record.name === name || record.alias === name);
+}
+
+/**
+ * Return a human readable name for a filter, for use in error messages.
+ *
+ * @private
+ *
+ * @param  {String|Function} name
+ *
+ * @return {String}
+ */
+export function filterName(name) {
+  if (typeof name === 'function') {
+    return name.name || '(anonymous function)';
+  }
+  return name;
+}
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+/**
+ * Strip the weak indicator from an entity tag, for weak comparison.
+ *
+ * @private
+ */
+function opaqueTag(tag) {
+  return tag.replace(/^W\//, '');
+}
+
+/**
+ * Return the ETag header value for a validator. Strings are used as the tag
+ * itself (and quoted if they aren't already); anything else is serialized and
+ * hashed into a weak ETag.
+ *
+ * @param  {*}  value
+ *
+ * @return {String}
+ */
+export function etagFor(value) {
+  if (typeof value === 'string') {
+    return /^(W\/)?"/.test(value) ? value : `"${ value }"`;
+  }
+  let hash = crypto.createHash('md5').update(JSON.stringify(value)).digest('hex');
+  return `W/"${ hash }"`;
+}
+
+/**
+ * Returns true if the client's cached copy is still fresh, given the
+ * response's validators. Only GET and HEAD requests can be fresh. As per RFC
+ * 7232, `If-Modified-Since` is ignored if the request has an `If-None-Match`
+ * header.
+ *
+ * @param  {Request}  req
+ * @param  {Object}  validators
+ * @param  {String}  validators.etag          the response's ETag header
+ * @param  {Date}  validators.lastModified    when the resource last changed
+ *
+ * @return {Boolean}
+ */
+export default function isFresh(req, { etag, lastModified }) {
+  let method = req.method;
+  if (method !== 'GET' && method !== 'HEAD') {
+    return false;
+  }
+  let noneMatch = req.headers['if-none-match'];
+  if (noneMatch) {
+    if (!etag) {
+      return false;
+    }
+    let tags = noneMatch.split(',').map((tag) => opaqueTag(tag.trim()));
+    return tags.indexOf('*') > -1 || tags.indexOf(opaqueTag(etag)) > -1;
+  }
+  let modifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (!lastModified || isNaN(modifiedSince)) {
+    return false;
+  }
+  // HTTP dates only have second precision
+  return Math.floor(lastModified.getTime() / 1000) * 1000 <= modifiedSince;
+}
@@ -2,22 +2,114 @@ import assert from 'assert';
 import CoreObject from 'core-object';
 import Promise from 'bluebird';
 import contains from 'lodash/collection/contains';
-import pluck from 'lodash/collection/pluck';
-import FilterDSL from './filter-dsl';
+import sortBy from 'lodash/collection/sortBy';
+import findLastIndex from 'lodash/array/findLastIndex';
+import ensureArray from 'ensure-array';
+import FilterDSL, { filterName } from './filter-dsl';
+import RouteDSL from './route-dsl';
+import resourceRoutes from './resources';
+import negotiate from './negotiate';
+import Parameters from './parameters';
+import assign from 'lodash/object/assign';
+import validate from './schema';
+import { ValidationError, TimeoutError, ForbiddenError, AuthorizationNotPerformedError } from './errors';
+import Policy from './policy';
+import { Concern, extendWithConcerns } from './concern';
+import { appendVary, isKoaResponse, isResponseComplete, nodeResponse, resetKoaResponse, sendStatus, setHeader } from './adapters';
+import createAbortController from './abort';
+import { instrument, isInstrumented, emit, now } from './instrumentation';
+import isFresh, { etagFor } from './freshness';
+import paginate from './pagination';
 
 const prototypeOf = Object.getPrototypeOf;
 
+/**
+ * The base Controller methods that controllers override to customize how
+ * requests are handled. A controller defining one of these is overriding a
+ * hook rather than defining an action.
+ *
+ * @private
+ */
+const CONTROLLER_HOOKS = [
+  'constructor',
+  'init',
+  'timeoutFor',
+  'errorAfterResponse',
+  'reportServerError',
+  'isResSent',
+  'policyFor',
+  'policyUser'
+];
+
+/**
+ * Returns true if the name is one of the base Controller's overridable hooks
+ * (i.e. `errorAfterResponse`, or `constructor`).
+ *
+ * @private
+ */
+function isControllerHook(name) {
+  return contains(CONTROLLER_HOOKS, name);
+}
+
+/**
+ * Count how many steps up the prototype chain from `object` it takes to reach
+ * `proto`.
+ *
+ * @private
+ */
+function prototypeDistance(object, proto) {
+  let distance = 0;
+  let target = prototypeOf(object);
+  while (target && target !== proto) {
+    target = prototypeOf(target);
+    distance += 1;
+  }
+  return distance;
+}
+
+/**
+ * Return the given class-level declaration (i.e. `filters`) if the prototype
+ * defines its own. Controllers defined with native class syntax declare these
+ * as static members, so for those the class itself is checked too.
+ *
+ * @private
+ */
+function ownDefinition(proto, name) {
+  if (proto.hasOwnProperty(name)) {
+    return proto[name];
+  }
+  // Only native classes set their prototype's constructor; it isn't set for
+  // classes created with `.extend()`
+  if (proto.hasOwnProperty('constructor') && proto.constructor.hasOwnProperty(name)) {
+    return proto.constructor[name];
+  }
+}
+
+/**
+ * Return the name of a controller's class, if it was declared with class
+ * syntax. Classes created with `.extend()` are anonymous, so for those this
+ * is null.
+ *
+ * @private
+ */
+function className(controller) {
+  let proto = prototypeOf(controller);
+  return proto.hasOwnProperty('constructor') && proto.constructor.name || null;
+}
+
 /**
  * The base Controller class that all your controllers should extend from.
  *
  * @title Controller
  */
 
-export default CoreObject.extend({
+const Controller = CoreObject.extend({
 
-  init() {
-    this._super.apply(this, arguments);
-    this._buildFilters();
+  init(...args) {
+    this._super.apply(this, args);
+    // Kept so per-request instances can be constructed the same way
+    this._initArgs = args;
+    assign(this, this._compiled());
   },
 
   /**
@@ -29,6 +121,8 @@ export default CoreObject.extend({
    * @param  {String}  actionName the action to run
    *
    * @return {Function}           a middleware function that will run the action
+   * (or, if invoked with `req, res, next` as well, a promise that resolves
+   * once the action has been run)
    */
   action(actionName, ...args) {
     if (args.length === 3) {
@@ -37,64 +131,689 @@ export default CoreObject.extend({
       return middleware.bind(this);
     }
     function middleware(req, res, next) {
-      // Check for the action name on the prototype of this object, to avoid
-      // picking up actions defined on parent classes.
-      assert(prototypeOf(this).hasOwnProperty(actionName), `${ actionName } action is not defined on this controller`);
-      let handlers = this._buildHandlers(actionName);
-      this._executeHandlerChain(actionName, handlers, req, res, next);
+      assert(this.hasAction(actionName), `${ actionName } action is not defined on this controller`);
+      let controller = this;
+      if (this.instancePerRequest) {
+        controller = this._instanceForRequest();
+        controller.context = req.context;
+        req.context = controller;
+      }
+      let handlers = controller._buildHandlers(actionName);
+      return controller._executeHandlerChain(actionName, handlers, req, res, next);
     }
   },
 
   /**
-   * Take an action name, and build a list of before filters, the action itself,
-   * and the after filters that are applicable.
+   * Return a Koa middleware function that runs the specified action. Filters
+   * and the action are invoked with Koa's `ctx.request` and `ctx.response` as
+   * the req and res, and with `ctx` as `this`. Route params set by a router on
+   * `ctx.params` are copied to `req.params`.
+   *
+   * Errors are thrown (i.e. the returned promise rejects) for upstream Koa
+   * middleware to handle, and handlers that call `next()` hand off to the
+   * downstream Koa middleware.
+   *
+   * @method koa
+   *
+   * @param  {String}  actionName the action to run
+   *
+   * @return {Function}           a Koa middleware function
+   */
+  koa(actionName) {
+    return (ctx, next) => {
+      let req = ctx.request;
+      let error;
+      let downstream;
+      req.context = ctx;
+      if (ctx.params && !req.params) {
+        req.params = ctx.params;
+      }
+      return this.action(actionName, req, ctx.response, (err) => {
+        if (err) {
+          error = err;
+        } else {
+          downstream = next();
+        }
+      }).then(() => {
+        if (error) {
+          throw error;
+        }
+        return downstream;
+      });
+    };
+  },
+
+  /**
+   * Return a request listener for a plain node http server (i.e.
+   * `http.createServer(posts.handler('show'))`) that runs the specified
+   * action. `this` in filters and actions is `req.context`, which is set to an
+   * empty object if nothing else has set it.
+   *
+   * There is no later middleware to hand off to, so if a handler calls
+   * `next()` a 404 is sent, and errors are sent as a response with the error's
+   * `status` (or 500). Errors with a 5xx status are handed to
+   * `reportServerError()` as well.
+   *
+   * @method handler
+   *
+   * @param  {String}  actionName the action to run
+   *
+   * @return {Function}           a `(req, res)` request listener
+   */
+  handler(actionName) {
+    return (req, res) => {
+      req.context = req.context || {};
+      return this.action(actionName, req, res, (err) => {
+        if (this.isResSent(res)) {
+          return;
+        }
+        let status = err ? err.status || err.statusCode || 500 : 404;
+        if (status >= 500) {
+          this.reportServerError(err, req, res);
+        }
+        sendStatus(res, status);
+      });
+    };
+  },
+
+  /**
+   * Returns true if the given action is defined on this controller. Only the
+   * controller's own methods count as actions; methods inherited from parent
+   * controllers (i.e. shared helpers) do not, and neither do overrides of the
+   * base Controller's hooks (i.e. `errorAfterResponse()`).
+   *
+   * @method hasAction
+   *
+   * @param  {String}  actionName
+   *
+   * @return {Boolean}
+   */
+  hasAction(actionName) {
+    // Check for the action name on the prototype of this object, to avoid
+    // picking up actions defined on parent classes.
+    return prototypeOf(this).hasOwnProperty(actionName) && !isControllerHook(actionName);
+  },
+
+  /**
+   * Return the names of this controller's actions: the methods it defines
+   * itself, other than its `filters()` / `routes()` hooks, overrides of the
+   * base Controller's other hooks, private methods (prefixed with an underscore),
+   * and methods used as filters, filter conditions, or rescue handlers.
+   *
+   * @method actionNames
+   *
+   * @return {Array}  an array of action names
+   */
+  actionNames() {
+    let proto = prototypeOf(this);
+    let notActions = [ 'filters', 'routes' ];
+    this._filters.forEach(({ name, options }) => {
+      notActions.push(name, options.if, options.unless);
+    });
+    this._rescuers.forEach(({ handler }) => {
+      notActions.push(handler);
+    });
+    return Object.getOwnPropertyNames(proto).filter((key) => {
+      return typeof proto[key] === 'function' &&
+             key.charAt(0) !== '_' &&
+             !isControllerHook(key) &&
+             !contains(notActions, key);
+    });
+  },
+
+  /**
+   * Describe which filters run for each of this controller's actions, and why
+   * the ones that don't run were excluded. Handy for debugging questions like
+   * "why didn't my auth filter run for this action?"
+   *
+   * @method describe
+   *
+   * @return {Array}  an array of `{ action, filters }` objects, one per action.
+   * `filters` lists every before, around, and after filter in the order they
+   * would run, as `{ name, stage, definedBy, excludedBy, if, unless }`
+   * objects. `definedBy` is the prototype of the controller class that added
+   * the filter (i.e. `ApplicationController.prototype`), and `excludedBy` is
+   * "only", "except", or "skip" if the filter doesn't run for the action, or
+   * null if it does.
+   */
+  describe() {
+    let filters = this._filters.filter(({ stage }) => stage !== 'after')
+      .concat(this._filters.filter(({ stage }) => stage === 'after'));
+    return this.actionNames().map((action) => {
+      return {
+        action,
+        filters: filters.map((filter) => {
+          return {
+            name: filter.alias || filterName(filter.name),
+            stage: filter.stage,
+            definedBy: filter.owner,
+            excludedBy: this._exclusionReason(filter, action),
+            if: filter.options.if && filterName(filter.options.if),
+            unless: filter.options.unless && filterName(filter.options.unless)
+          };
+        })
+      };
+    });
+  },
+
+  /**
+   * Mount this controller's conventional resource actions onto an Express (or
+   * otherwise compatible) router:
+   *
+   *     GET     /posts           index
+   *     GET     /posts/new       new
+   *     POST    /posts           create
+   *     GET     /posts/:id       show
+   *     GET     /posts/:id/edit  edit
+   *     PATCH   /posts/:id       update
+   *     PUT     /posts/:id       update
+   *     DELETE  /posts/:id       destroy
+   *
+   * Any custom routes declared in the controller's `routes()` method are added
+   * as well. Only the actions this controller defines itself (see
+   * `hasAction()`) are routed. Nested resources are just a matter of the path, i.e.
+   * `comments.resource(router, '/posts/:postId/comments')`.
+   *
+   * @method resource
+   *
+   * @param  {Router}  router  the router to add the routes to
+   * @param  {String}  path    the path of the resource collection
+   * @param  {Object}  options
+   * @param  {String|Array} options.only  An action name or array of action
+   * names that are the only actions that should be routed.
+   * @param  {String|Array} options.except  An action name or array of action
+   * names that should not be routed.
+   * @param  {String} options.param  The name of the route parameter that
+   * identifies a member of the collection. Defaults to "id".
+   *
+   * @return {Array}           the `{ action, method, path }` routes that were
+   * added
+   */
+  resource(router, path, options) {
+    let routes = resourceRoutes(path, options, this._routes).filter((route) => this.hasAction(route.action));
+    routes.forEach((route) => {
+      router[route.method](route.path, this.action(route.action));
+    });
+    return routes;
+  },
+
+  /**
+   * Return the list of handlers for an action (see `_compileHandlers()`). The
+   * list only depends on the controller's class, so it is compiled the first
+   * time the action runs and reused after that.
    *
    * @method _buildHandlers
    *
    * @param  {String}       actionName
    *
-   * @return {Array}                  an array of before filters, the action
-   * handler, and after filters
+   * @return {Array}                  the handlers for the action
    */
   _buildHandlers(actionName) {
-    let beforeFilters = this._filtersForAction(actionName, 'before');
+    let chains = this._handlerChains;
+    if (!chains.hasOwnProperty(actionName)) {
+      chains[actionName] = this._compileHandlers(actionName);
+    }
+    return chains[actionName];
+  },
+
+  /**
+   * Take an action name, and build a list of before & around filters, the
+   * action itself, and the after filters that are applicable.
+   *
+   * Before and around filters share a single list (in the order they were
+   * added), since an around filter wraps everything that comes after it.
+   *
+   * @method _compileHandlers
+   * @private
+   *
+   * @param  {String}       actionName
+   *
+   * @return {Array}                  an array of before & around filters, the
+   * action handler, and after filters. Each entry is an object with the `name`
+   * and `stage` of the handler.
+   */
+  _compileHandlers(actionName) {
+    let beforeFilters = this._filtersForAction(actionName, [ 'before', 'around' ]);
     let afterFilters = this._filtersForAction(actionName, 'after');
-    return beforeFilters.concat(actionName, afterFilters);
+    return beforeFilters.concat({ name: actionName, stage: 'action' }, afterFilters);
   },
 
   /**
    * Execute an array of handler methods, handling the various async behaviors
    * and error results. Any handler that errors (sync or async) stops the
-   * execution chain. Any handler that completes the response stops the chain as
-   * well.
+   * execution chain. Any before filter that completes the response stops the
+   * chain as well, but once the action has run, the after filters always run.
    *
    * @method _executeHandlerChain
    *
-   * @param  {Array}             handlers an array of handler functions
+   * @param  {Array}             handlers an array of handlers, as returned by
+   * `_buildHandlers()`
+   *
+   * @return {Promise}                     resolves once the chain has finished
+   * and next() has been called (if needed)
    */
   _executeHandlerChain(actionName, handlers, req, res, next) {
-    // Create a root promise that represents the entire chain of handlers. Mark
-    // it as cancellable in case one of the filters/actions completes the
-    // request.
-    let handlerChain = Promise.resolve(handlers).cancellable();
-    handlerChain.each((handlerName) => {
-      let handler = this[handlerName];
+    let abortController = createAbortController();
+    let abort;
+    let aborted = new Promise((resolve, reject) => {
+      abort = (reason) => {
+        abortController.abort(reason);
+        reject(reason);
+      };
+    });
+    req.signal = abortController.signal;
+    let stopWatching = this._watchRequest(actionName, res, abort);
+    let instrumented = isInstrumented();
+    let startedAt;
+    if (instrumented) {
+      startedAt = now();
+      emit(this._event('chain:start', actionName, req));
+    }
+    let finish = (outcome, error) => {
+      if (instrumented) {
+        if (error) {
+          emit(this._event('error', actionName, req, { error }));
+        }
+        emit(this._event('chain:end', actionName, req, { duration: now() - startedAt, outcome, error }));
+      }
+    };
+    // Handlers that complete the request (or call next() themselves) stop the
+    // rest of the chain by throwing a CancellationError, caught below. A
+    // timeout or the client disconnecting stops it without waiting for the
+    // handler that's currently running to finish.
+    return Promise.race([
+      Promise.try(() => this._executeHandlers(actionName, handlers, req, res, next)),
+      aborted
+    ]).finally(stopWatching).then(() => {
+      if (!this.isResSent(res)) {
+        throw new Error(`Incomplete action! It looks like your ${ actionName } action didn't respond or throw an error.`);
+      }
+      finish('completed');
+    }).catch(Promise.CancellationError, () => {
+      // A handler either completed the response, or already called next()
+      // itself, so there is nothing left to do.
+      finish(this.isResSent(res) ? 'completed' : 'halted');
+    }).catch((err) => {
+      // If the response has already gone out (i.e. an after filter failed),
+      // it's too late to rescue the error or pass it on to next(err).
+      if (this.isResSent(res)) {
+        finish('error', err);
+        return this.errorAfterResponse(err, req, res);
+      }
+      return this._rescue(actionName, err, req, res).then(() => {
+        finish('rescued', err);
+      }, (unhandledErr) => {
+        finish('error', unhandledErr);
+        next(unhandledErr);
+      });
+    });
+  },
 
-      // If the handler isn't defined here, it must be a missing filter
-      // definition. It can't be the action itself, because we check that
-      // above.
-      assert(handler, `${ handlerName } filter is not defined.`);
+  /**
+   * Start the action's timeout (if it has one), and watch for the client
+   * disconnecting, aborting the handler chain if either happens first. A
+   * timeout aborts it with a `TimeoutError`; a disconnect just cancels the
+   * rest of the chain.
+   *
+   * The response's 'close' event is used to detect disconnects, rather than
+   * the request's, since newer versions of node emit 'close' on the request
+   * as soon as its body has been read. A response only closes before it
+   * finishes if the connection was lost.
+   *
+   * @method _watchRequest
+   * @private
+   *
+   * @param  {String}  actionName
+   * @param  {Response}  res
+   * @param  {Function}  abort  invoked with the reason the chain was aborted
+   *
+   * @return {Function}  stops watching
+   */
+  _watchRequest(actionName, res, abort) {
+    let timeout = this.timeoutFor(actionName);
+    let timer = timeout ? setTimeout(() => abort(new TimeoutError(actionName, timeout)), timeout) : null;
+    let raw = nodeResponse(res);
+    let watchesClose = raw && typeof raw.on === 'function';
+    let onClose = () => {
+      if (!raw.finished) {
+        abort(new Promise.CancellationError('The client disconnected'));
+      }
+    };
+    if (watchesClose) {
+      raw.on('close', onClose);
+    }
+    return () => {
+      clearTimeout(timer);
+      if (watchesClose) {
+        raw.removeListener('close', onClose);
+      }
+    };
+  },
+
+  /**
+   * Return the timeout for an action, in milliseconds - its entry in
+   * `timeouts` if it has one, otherwise the controller's `timeout`. Returns
+   * null if the action can take as long as it likes.
+   *
+   * @method timeoutFor
+   *
+   * @param  {String}  actionName
+   *
+   * @return {Number}
+   */
+  timeoutFor(actionName) {
+    let timeouts = this.timeouts || {};
+    return timeouts.hasOwnProperty(actionName) ? timeouts[actionName] : this.timeout;
+  },
 
-      return this._executeHandler(actionName, handler, req, res, next);
+  /**
+   * Called when a filter errors after the response has already been sent (for
+   * example, a failing after filter). The error can't be passed on to
+   * next(err) at that point, so by default it is just logged. Override this to
+   * report it somewhere more useful.
+   *
+   * @method errorAfterResponse
+   *
+   * @param  {Error}  err
+   * @param  {Request}  req
+   * @param  {Response}  res
+   */
+  errorAfterResponse(err) {
+    console.error(err && err.stack || err);
+  },
 
+  /**
+   * Called by `handler()` when an action fails with a 5xx error (or one with
+   * no status), just before the error response is sent. By default it is
+   * logged. Override this to report it somewhere more useful, or to silence
+   * it.
+   *
+   * @method reportServerError
+   *
+   * @param  {Error}  err
+   * @param  {Request}  req
+   * @param  {Response}  res
+   */
+  reportServerError(err) {
+    console.error(err && err.stack || err);
+  },
+
+  /**
+   * Hand an error off to the matching `rescueFrom` handler, if there is one.
+   * Handlers registered by the most derived controller take precedence, and
+   * amongst those, the one registered for the most specific error class wins.
+   *
+   * Rescue handlers are invoked with the error, req, and res, and can return
+   * a promise. If they don't send a response, the original error is passed on.
+   *
+   * @method _rescue
+   * @private
+   *
+   * @param  {Error}  err the error thrown by a filter or action
+   *
+   * @return {Promise}    resolves if the error was handled, otherwise rejects
+   * with the error that should be passed to next()
+   */
+  _rescue(actionName, err, req, res) {
+    let rescuer = this._rescuerFor(err);
+    if (!rescuer) {
+      return Promise.reject(err);
+    }
+    let { handler } = rescuer;
+    let handlerFn = typeof handler === 'function' ? handler : this[handler];
+    assert(handlerFn, `${ filterName(handler) } rescue handler is not defined.`);
+    return Promise.try(() => {
+      req.controller = this;
+      req.action = actionName;
+      return handlerFn.call(req.context, err, req, res);
     }).then(() => {
       if (!this.isResSent(res)) {
-        throw new Error(`Incomplete action! It looks like your ${ actionName } action didn't respond or throw an error.`);
+        throw err;
+      }
+    });
+  },
+
+  /**
+   * Find the rescuer that should handle the given error.
+   *
+   * @method _rescuerFor
+   * @private
+   *
+   * @param  {Error}     err
+   *
+   * @return {Object}        the matching rescuer, or undefined if none match
+   */
+  _rescuerFor(err) {
+    if (!err || typeof err !== 'object') {
+      return;
+    }
+    let matches = this._rescuers.filter((rescuer) => err instanceof rescuer.errorClass);
+    if (matches.length === 0) {
+      return;
+    }
+    // Rescuers are registered parent-most first, so the last match belongs to
+    // the most derived controller
+    let owner = matches[matches.length - 1].owner;
+    return sortBy(matches.filter((rescuer) => rescuer.owner === owner), (rescuer) => {
+      return prototypeDistance(err, rescuer.errorClass.prototype);
+    })[0];
+  },
+
+  /**
+   * Execute each handler in turn. Around filters are handed a `proceed()`
+   * function which executes the remaining handlers, so everything after an
+   * around filter runs inside of it.
+   *
+   * Once the action has run, the after filters run regardless of whether it
+   * sent a response or errored. They are handed the action's outcome.
+   *
+   * @method _executeHandlers
+   * @private
+   *
+   * @param  {Array}          handlers the handlers remaining to be run
+   * @param  {Object}         outcome  the outcome of the action (for after
+   * filters), either `{ value }` or `{ error }`
+   *
+   * @return {Promise}                 resolves once all the handlers have run,
+   * rejects with a CancellationError if a before filter completed the response
+   */
+  _executeHandlers(actionName, handlers, req, res, next, outcome) {
+    if (handlers.length === 0) {
+      return Promise.resolve();
+    }
+    // The chain was aborted (timed out, or the client went away) while an
+    // earlier handler was running, so don't start any more
+    if (req.signal && req.signal.aborted) {
+      return Promise.reject(new Promise.CancellationError('The request was aborted'));
+    }
+    let [ current, ...remaining ] = handlers;
+    let { name, stage } = current;
+    // Filters can be supplied directly as functions, rather than as the
+    // name of a method on the controller.
+    let handler = typeof name === 'function' ? name : this[name];
+
+    // If the handler isn't defined here, it must be a missing filter
+    // definition. It can't be the action itself, because we check that
+    // above.
+    assert(handler, `${ filterName(name) } filter is not defined.`);
+
+    // Conditional filters (`if` / `unless`) are checked per request; if they
+    // don't apply, just move on to the rest of the chain.
+    return this._filterApplies(current, req).then((applies) => {
+      if (!applies) {
+        return this._executeHandlers(actionName, remaining, req, res, next, outcome);
+      }
+      if (stage === 'around') {
+        return this._instrumentHandler(actionName, current, req, () => {
+          return this._executeAroundHandler(actionName, handler, req, res, () => {
+            return this._executeHandlers(actionName, remaining, req, res, next);
+          });
+        });
+      }
+      if (stage === 'action') {
+        return this._instrumentHandler(actionName, current, req, () => {
+          return this._executeHandler(actionName, handler, req, res, next, stage);
+        }).then((value) => {
+          return { value };
+        }, (error) => {
+          // The action called next(), so control has already been handed off and
+          // there is no outcome for the after filters
+          if (error instanceof Promise.CancellationError) {
+            throw error;
+          }
+          return { error };
+        }).then((actionOutcome) => {
+          return this._executeHandlers(actionName, remaining, req, res, next, actionOutcome).then(() => {
+            if (actionOutcome.error) {
+              throw actionOutcome.error;
+            }
+          });
+        });
+      }
+      return this._instrumentHandler(actionName, current, req, () => {
+        return this._executeHandler(actionName, handler, req, res, next, stage, outcome);
+      }).then(() => {
+        return this._executeHandlers(actionName, remaining, req, res, next, outcome);
+      });
+    });
+  },
+
+  /**
+   * Run a filter or the action, emitting start and end events for it if
+   * anything is subscribed to them. The end event's `outcome` is "completed"
+   * if the handler finished and the chain carries on, "halted" if it sent the
+   * response or called `next()` (stopping the chain), or "error".
+   *
+   * @method _instrumentHandler
+   * @private
+   *
+   * @param  {String}  actionName
+   * @param  {Object}  current  the handler entry, with its `name` and `stage`
+   * @param  {Request}  req
+   * @param  {Function}  run  runs the handler, returning a promise
+   *
+   * @return {Promise}  the promise returned by `run`
+   */
+  _instrumentHandler(actionName, current, req, run) {
+    if (!isInstrumented()) {
+      return run();
+    }
+    let { name, stage } = current;
+    let kind = stage === 'action' ? 'action' : 'filter';
+    let details = { filter: kind === 'filter' ? filterName(name) : null, stage };
+    let startedAt = now();
+    emit(this._event(`${ kind }:start`, actionName, req, details));
+    let end = (outcome, error) => {
+      emit(this._event(`${ kind }:end`, actionName, req, assign({ duration: now() - startedAt, outcome, error }, details)));
+    };
+    return Promise.try(run).then((value) => {
+      end('completed');
+      return value;
+    }, (error) => {
+      end(error instanceof Promise.CancellationError ? 'halted' : 'error', error);
+      throw error;
+    });
+  },
+
+  /**
+   * Build an instrumentation event.
+   *
+   * @method _event
+   * @private
+   *
+   * @param  {String}  type
+   * @param  {String}  actionName
+   * @param  {Request}  req
+   * @param  {Object}  details  any other properties for the event
+   *
+   * @return {Object}
+   */
+  _event(type, actionName, req, details) {
+    return assign({
+      type,
+      controller: this.controllerName || className(this),
+      action: actionName,
+      filter: null,
+      stage: null,
+      timestamp: Date.now(),
+      req
+    }, details);
+  },
+
+  /**
+   * Check a filter's `if` / `unless` conditions against the current request.
+   * Conditions can be method names or functions, are invoked with the req, and
+   * can return promises.
+   *
+   * @method _filterApplies
+   * @private
+   *
+   * @param  {Object}       filter the filter to check
+   *
+   * @return {Promise}             resolves to true if the filter should run
+   */
+  _filterApplies(filter, req) {
+    let check = (condition) => {
+      let predicate = typeof condition === 'function' ? condition : this[condition];
+      assert(predicate, `${ filterName(condition) } filter condition is not defined.`);
+      return Promise.try(() => predicate.call(req.context, req));
+    };
+    let applies = Promise.resolve(true);
+    if (filter.if) {
+      applies = check(filter.if).then(Boolean);
+    }
+    if (filter.unless) {
+      applies = applies.then((result) => result && check(filter.unless).then((skip) => !skip));
+    }
+    return applies;
+  },
+
+  /**
+   * Execute a single around filter. The filter is invoked with the req, res,
+   * and a `proceed()` function which runs the rest of the handler chain and
+   * returns a promise. Around filters must return a promise.
+   *
+   * If the rest of the chain completes the response, the promise returned by
+   * `proceed()` still resolves, so the around filter can finish up normally
+   * (i.e. commit a transaction). Errors from the rest of the chain reject it.
+   *
+   * @method _executeAroundHandler
+   * @private
+   *
+   * @param  {Function}        handler the around filter to execute
+   * @param  {Function}        proceed runs the remaining handlers
+   *
+   * @return {Promise}                 a promise representing the result of
+   * the around filter and everything it wrapped
+   */
+  _executeAroundHandler(actionName, handler, req, res, proceed) {
+    let proceeded = false;
+    let cancellation;
+    return Promise.try(() => {
+      req.controller = this;
+      req.action = actionName;
+      let result = handler.call(req.context, req, res, () => {
+        if (proceeded) {
+          return Promise.reject(new Error(`The "${ handler.name }" around filter called proceed() more than once.`));
+        }
+        proceeded = true;
+        return proceed().catch(Promise.CancellationError, (err) => {
+          cancellation = err;
+        });
+      });
+      if (!result || typeof result.then !== 'function') {
+        throw new Error(`The "${ handler.name }" around filter did not return a promise. Around filters must return a promise, i.e. the one returned by proceed().`);
+      }
+      return result;
+    }).then(() => {
+      // Whatever stopped the wrapped handlers early should stop the rest of
+      // the chain as well
+      if (cancellation) {
+        throw cancellation;
+      }
+      if (!proceeded && this.isResSent(res)) {
+        throw new Promise.CancellationError();
       }
-    }).catch(Promise.CancellationError, () => {
-      next();
-    }).catch((err) => {
-      next(err);
     });
   },
 
@@ -104,12 +823,17 @@ export default CoreObject.extend({
    * @method _executeHandler
    *
    * @param  {Function}        handler the handler to execute
+   * @param  {String}          stage   the stage the handler runs in ("before",
+   * "action", or "after")
+   * @param  {Object}          outcome the outcome of the action, handed to
+   * after filters as their fourth argument
    *
    * @return {Promise}                a promise representing the result of the
-   * handler; resolved indicates that the next handler should execute, rejected
-   * indicates that the handler completed the response (or errored)
+   * handler; resolved (with the handler's result) indicates that the next
+   * handler should execute, rejected indicates that a before filter completed
+   * the response (or the handler errored)
    */
-  _executeHandler(actionName, handler, req, res, next) {
+  _executeHandler(actionName, handler, req, res, next, stage, outcome) {
     // Track the different ways of asynchronously completing the action so we
     // can error if more than one is used
     let handlerReturnedPromise = false;
@@ -117,12 +841,26 @@ export default CoreObject.extend({
     // Wrap the handler in this outer promise to encapsulate the
     // different ways of handling async (i.e. return a Promise or call next).
     return new Promise((resolve, reject) => {
+      // A before filter that completes the response stops the chain, but the
+      // action and after filters always run to completion.
+      let settle = (value) => {
+        if (stage === 'before' && this.isResSent(res)) {
+          reject(new Promise.CancellationError());
+        } else {
+          resolve(value);
+        }
+      };
       req.controller = this;
       req.action = actionName;
+      if (stage === 'action') {
+        req._actionStarted = true;
+      }
       // Invoke the handler. Pass in a faked out "next" function which will
       // either (a) simply reject the outer promise if called with an error, or
       // (b) cancel the promise if called without an error (which is a signal to
       // skip the rest of the controller and pass control back to express).
+      // After filters run once the response has been handled, so for them
+      // `next()` just means "carry on with the next after filter".
       let result = handler.call(req.context, req, res, (err) => {
         // They called `next()` which indicates an error or we should skip the
         // remaining handlers and pass control to the next middleware
@@ -133,12 +871,15 @@ export default CoreObject.extend({
         // Errored - reject with the error
         if (err) {
           reject(err);
+        // After filter finished - move on to the next one
+        } else if (stage === 'after') {
+          resolve();
         // Skip - cancel the promise and call next
         } else {
           reject(new Promise.CancellationError());
           next();
         }
-      });
+      }, outcome);
       // If the filter/action returns a promise, then link it to the outer
       // promise.
       if (result && typeof result.then === 'function') {
@@ -146,29 +887,427 @@ export default CoreObject.extend({
         if (handlerCalledNext) {
           throw new Error(`Your ${ actionName} action returned a Promise *and* called continue - you cannot do both.`);
         }
-        result.then(() => {
-          if (this.isResSent(res)) {
-            reject(new Promise.CancellationError());
-          } else {
-            resolve();
-          }
-        }).catch(reject);
+        result.then(settle).catch(reject);
       // The action appears to be synchronous (it didn't accept `next()` or
       // return a Promise)
       } else if (handler.length < 3) {
         if (this.strictAsyncMode) {
           throw new Error(`"${ handler.name }" did not return a promise or accept a next() callback. If you *really* want a synchronous action/filter, set 'strictAsyncMode' to false on the controller.`);
         } else {
-          if (this.isResSent(res)) {
-            reject(new Promise.CancellationError());
-          } else {
-            resolve();
-          }
+          settle(result);
         }
       }
     });
   },
 
+  /**
+   * Respond in whichever format the client asked for. Each key of `formats` is
+   * a format name (`json`, `html`, `csv`, `xml`, `text`, `js`, or a MIME type),
+   * and each value is a function which is invoked with the req and res to
+   * render that format. The format is chosen from the `:format` route
+   * parameter or the path extension (i.e. `/posts.csv`) if there is one, and
+   * from the Accept header otherwise.
+   *
+   * If none of the formats are acceptable, the `default` function is used if
+   * given, otherwise a 406 Not Acceptable response is sent. Either way,
+   * `Accept` is added to the response's `Vary` header, so caches keep each
+   * format separately.
+   *
+   *     index(req, res) {
+   *       return loadPosts().then((posts) => {
+   *         return req.controller.respondTo(req, res, {
+   *           json() { res.json(posts); },
+   *           csv() { res.type('csv').send(toCSV(posts)); }
+   *         });
+   *       });
+   *     }
+   *
+   * @method respondTo
+   *
+   * @param  {Request}  req
+   * @param  {Response}  res
+   * @param  {Object}  formats  format renderers, keyed by format name
+   *
+   * @return {Promise}  resolves once the chosen renderer (and any promise it
+   * returns) has finished
+   */
+  respondTo(req, res, formats) {
+    let available = Object.keys(formats).filter((format) => format !== 'default');
+    let format = negotiate(req, available);
+    let render = format ? formats[format] : formats.default;
+    return Promise.try(() => {
+      appendVary(res, 'Accept');
+      if (!render) {
+        sendStatus(res, 406);
+        return;
+      }
+      return render.call(req.context, req, res);
+    });
+  },
+
+  /**
+   * Set the response's `ETag` and / or `Last-Modified` headers, and if the
+   * client's cached copy is still fresh (according to its `If-None-Match` or
+   * `If-Modified-Since` headers), send a 304 Not Modified response. Returns
+   * true if the 304 was sent, in which case there's nothing left to render:
+   *
+   *     show(req, res) {
+   *       return findPost(req.params.id).then((post) => {
+   *         if (!req.controller.freshWhen(req, res, { etag: post, lastModified: post.updatedAt })) {
+   *           res.json(post);
+   *         }
+   *       });
+   *     }
+   *
+   * Called from a before filter, a 304 completes the request like any other
+   * response, so the rest of the filters and the action are skipped.
+   *
+   * @method freshWhen
+   *
+   * @param  {Request}  req
+   * @param  {Response}  res
+   * @param  {Object}  options
+   * @param  {*}  options.etag  a string to use as the ETag, or any other value
+   * to hash into a weak ETag (i.e. the record being rendered)
+   * @param  {Date}  options.lastModified
+   * @param  {Boolean}  options.public  if true, sets `Cache-Control: public` so
+   * shared caches can store the response too
+   *
+   * @return {Boolean}  true if the response was fresh, and a 304 was sent
+   */
+  freshWhen(req, res, options = {}) {
+    let etag = options.etag === undefined ? null : etagFor(options.etag);
+    let lastModified = options.lastModified ? new Date(options.lastModified) : null;
+    if (etag) {
+      setHeader(res, 'ETag', etag);
+    }
+    if (lastModified) {
+      setHeader(res, 'Last-Modified', lastModified.toUTCString());
+    }
+    if (options.public) {
+      setHeader(res, 'Cache-Control', 'public');
+    }
+    if (isFresh(req, { etag, lastModified })) {
+      sendStatus(res, 304);
+      return true;
+    }
+    return false;
+  },
+
+  /**
+   * The inverse of `freshWhen()` - sets the same headers (and sends the 304 if
+   * the client's copy is fresh), but returns true if the response still needs
+   * to be rendered:
+   *
+   *     if (req.controller.stale(req, res, { etag: post })) {
+   *       res.json(post);
+   *     }
+   *
+   * @method stale
+   *
+   * @param  {Request}  req
+   * @param  {Response}  res
+   * @param  {Object}  options  see `freshWhen()`
+   *
+   * @return {Boolean}  true if the response needs to be rendered
+   */
+  stale(req, res, options) {
+    return !this.freshWhen(req, res, options);
+  },
+
+  /**
+   * Fetch one page of a collection. The page is read from the `page` and
+   * `per_page` query string parameters (or `cursor` and `per_page`, in cursor
+   * mode), and `query` is called with what to fetch. It can return (or
+   * resolve to) an array of records, or `{ items, total }` if it knows the
+   * size of the whole collection:
+   *
+   *     index(req, res) {
+   *       return req.controller.paginate(req, res, ({ offset, limit }) => {
+   *         return Post.findAll({ offset, limit });
+   *       }).then((page) => res.json(page));
+   *     }
+   *
+   * `query` receives `perPage`, and a `limit` of one more than that, so
+   * `paginate()` can tell whether there's another page (the extra record is
+   * dropped). In offset mode it also receives the `page` number and the
+   * `offset` to start from. In cursor mode it receives the `after` value
+   * instead - whatever `cursorFor` returned for the last record of the
+   * previous page, or null for the first page - and should return the records
+   * that follow it.
+   *
+   * The `Link` header is set with the `first`, `prev`, `next`, and `last`
+   * pages (where they're known), and `X-Total-Count` is set if the total is.
+   * The promise resolves with the page: its `items` and `links`, the `total`
+   * (or null), and either the `page` number and number of `pages`, or the
+   * `cursor` and `nextCursor`. The page serializes to its items, so it can be
+   * passed straight to `res.json()`.
+   *
+   * @method paginate
+   *
+   * @param  {Request}  req
+   * @param  {Response}  res
+   * @param  {Function}  query    fetches the records, invoked with `this` as
+   * `req.context`
+   * @param  {Object}  options
+   * @param  {Number}  options.perPage     defaults to 25
+   * @param  {Number}  options.maxPerPage  the most records a client can ask
+   * for, defaults to 100
+   * @param  {String}  options.mode        'offset' (the default) or 'cursor'
+   * @param  {Function}  options.cursorFor  returns the value to resume after
+   * for a record in cursor mode, defaults to its `id`
+   *
+   * @return {Promise}  resolves with the page
+   */
+  paginate(req, res, query, options) {
+    return paginate(req, res, query, options);
+  },
+
+  /**
+   * Return the parameters for a request (the route parameters, query string,
+   * and body merged together, with route parameters taking precedence), with
+   * helpers for requiring and whitelisting keys:
+   *
+   *     create(req, res) {
+   *       let attrs = req.controller.params(req).require('post').permit('title', 'body', { tags: [] });
+   *       return Post.create(attrs).then((post) => res.json(post));
+   *     }
+   *
+   * `require()` throws a ParameterMissingError (which maps to a 400 response)
+   * if the key is missing, and `permit()` drops any keys that aren't listed.
+   *
+   * @method params
+   *
+   * @param  {Request}  req
+   *
+   * @return {Parameters}
+   */
+  params(req) {
+    let values = assign({}, req.query, req.body, req.params);
+    return new Parameters(values, this._permittedParams[req.action]);
+  },
+
+  /**
+   * Permit lists for each action, used when `permit()` is called without
+   * arguments. Subclasses can declare their own, which are added to the
+   * lists inherited from their parent controllers:
+   *
+   *     permittedParams: {
+   *       create: [ 'title', 'body', { tags: [] } ],
+   *       update: [ 'title', 'body' ]
+   *     }
+   *
+   * @type {Object}
+   */
+  permittedParams: null,
+
+  /**
+   * JSON Schemas to validate requests against, per action. Each action can
+   * have a schema for the request `body`, `query`, and route `params`:
+   *
+   *     validates: {
+   *       create: {
+   *         body: {
+   *           type: 'object',
+   *           required: [ 'title' ],
+   *           properties: { title: { type: 'string', maxLength: 100 } }
+   *         },
+   *         query: { properties: { draft: { type: 'boolean' } } }
+   *       }
+   *     }
+   *
+   * Requests are checked by the `validateRequest` before filter, which is
+   * added after all the declared before filters for the actions that have
+   * schemas. It can be skipped like any other filter; positioning a filter
+   * relative to it keeps it where it was declared (ahead of the other
+   * filters) instead. Subclasses inherit
+   * their parent's schemas, and can override them per action and location.
+   *
+   * See lib/schema.js for the supported subset of JSON Schema.
+   *
+   * @type {Object}
+   */
+  validates: null,
+
+  /**
+   * A before filter which validates the request against the schemas declared
+   * in `validates` for the current action. Rejects with a ValidationError
+   * (which maps to a 422 response) listing every failure. Query strings and
+   * route params are always strings, so strings that look like numbers or
+   * booleans are treated as such when validating them.
+   *
+   * @method validateRequest
+   *
+   * @param  {Request}  req
+   *
+   * @return {Promise}
+   */
+  validateRequest(req) {
+    let schemas = req.controller._validations[req.action] || {};
+    let errors = [];
+    [ 'body', 'query', 'params' ].forEach((location) => {
+      if (schemas[location]) {
+        errors = errors.concat(validate(schemas[location], req[location] || {}, {
+          path: location,
+          coerce: location !== 'body'
+        }));
+      }
+    });
+    return errors.length > 0 ? Promise.reject(new ValidationError(errors)) : Promise.resolve();
+  },
+
+  /**
+   * The policy class used by `authorize()`, for records whose class doesn't
+   * have a `policy` of its own.
+   *
+   * @type {Function}
+   */
+  policy: null,
+
+  /**
+   * Check that the current user is allowed to perform the given query on a
+   * record, using the record's policy. Resolves with the record if so, and
+   * rejects with a ForbiddenError (which maps to a 403 response) if not:
+   *
+   *     update(req, res) {
+   *       return findPost(req.params.id).then((post) => {
+   *         return req.controller.authorize(req, post);
+   *       }).then((post) => {
+   *         // ...
+   *       });
+   *     }
+   *
+   * The policy is constructed with the current user and the record, and the
+   * query is invoked on it. The query method can return a promise.
+   *
+   * @method authorize
+   *
+   * @param  {Request}  req
+   * @param  {Object}  record  the record being accessed
+   * @param  {String}  query   the policy method to check. Defaults to the
+   * current action's name.
+   *
+   * @return {Promise}  resolves with the record
+   */
+  authorize(req, record, query) {
+    query = query || req.action;
+    req._authorizationPerformed = true;
+    return Promise.try(() => {
+      let policy = this.policyFor(req, record);
+      assert(typeof policy[query] === 'function', `The ${ query } query is not defined on the policy for this record`);
+      return Promise.resolve(policy[query]()).then((allowed) => {
+        if (!allowed) {
+          throw new ForbiddenError(query, record, policy);
+        }
+        return record;
+      });
+    });
+  },
+
+  /**
+   * Mark the current request as intentionally not authorized, so the
+   * `verifyAuthorized` filter lets it through.
+   *
+   * @method skipAuthorization
+   *
+   * @param  {Request}  req
+   */
+  skipAuthorization(req) {
+    req._authorizationPerformed = true;
+  },
+
+  /**
+   * Return the policy for a record, constructed with the current user and the
+   * record. The policy class is the `policy` property of the record's class,
+   * if it has one, otherwise the controller's `policy`. Override this to look
+   * policies up some other way.
+   *
+   * @method policyFor
+   *
+   * @param  {Request}  req
+   * @param  {Object}  record
+   *
+   * @return {Object}  the policy
+   */
+  policyFor(req, record) {
+    let recordClass = record && record.constructor;
+    let PolicyClass = recordClass && recordClass.policy || this.policy;
+    assert(PolicyClass, 'No policy was found for this record. Set a policy on the controller, or on the record\'s class.');
+    return new PolicyClass(this.policyUser(req), record);
+  },
+
+  /**
+   * Return the user that `authorize()` checks policies for. Defaults to
+   * `req.user`.
+   *
+   * @method policyUser
+   *
+   * @param  {Request}  req
+   *
+   * @return {Object}
+   */
+  policyUser(req) {
+    return req.user;
+  },
+
+  /**
+   * An around filter which fails any action that responds without calling
+   * `authorize()` or `skipAuthorization()` first, so a forgotten check can't
+   * slip through. It isn't added by default - opt in with
+   * `this.around('verifyAuthorized', { except: 'index' })`.
+   *
+   * Once the action starts, the response is held back until the request has
+   * been authorized. Before filters declared after this one can still respond
+   * as usual (i.e. with a 401), which stops the chain before the action runs.
+   * If the action tries to respond before authorizing, nothing is sent, and
+   * the action fails with an
+   * AuthorizationNotPerformedError instead (which goes to `rescueFrom`
+   * handlers or `next(err)` like any other error).
+   *
+   * @method verifyAuthorized
+   *
+   * @param  {Request}  req
+   * @param  {Response}  res
+   * @param  {Function}  proceed
+   *
+   * @return {Promise}
+   */
+  verifyAuthorized(req, res, proceed, outcome) {
+    assert(outcome === undefined, 'verifyAuthorized must be added as an around filter, i.e. this.around(\'verifyAuthorized\'), so it can stop the response going out');
+    // Koa sends the response itself once the middleware has finished, so a
+    // Koa response can still be taken back afterwards. Node responses are
+    // held back as they're written instead.
+    if (isKoaResponse(res)) {
+      return proceed().then(() => {
+        if (!req._authorizationPerformed && isResponseComplete(res)) {
+          resetKoaResponse(res);
+          throw new AuthorizationNotPerformedError(req.action);
+        }
+      });
+    }
+    let { write, end } = res;
+    let withheld = false;
+    let guard = (original) => {
+      return function(...args) {
+        if (req._actionStarted && !req._authorizationPerformed) {
+          withheld = true;
+          return true;
+        }
+        return original.apply(this, args);
+      };
+    };
+    res.write = guard(write);
+    res.end = guard(end);
+    return proceed().finally(() => {
+      res.write = write;
+      res.end = end;
+    }).then(() => {
+      if (withheld) {
+        throw new AuthorizationNotPerformedError(req.action);
+      }
+    });
+  },
+
   /**
    * Strict async mode will throw errors when filters or action handlers fail
    * to return a Promise or accept a next callback.
@@ -190,10 +1329,59 @@ export default CoreObject.extend({
    */
   strictAsyncMode: true,
 
+  /**
+   * If true, each request is handled by a fresh instance of the controller,
+   * constructed with the same options as the one `action()` was called on.
+   * Filters and actions run with that instance as `this` (and as
+   * `req.context`), so state set in a filter (i.e. `this.currentUser`) is
+   * available to later filters and the action without leaking between
+   * requests, and controller methods can be called directly on `this`.
+   *
+   * Any `req.context` set before the action ran is available as
+   * `this.context`.
+   *
+   * @type {Boolean}
+   */
+  instancePerRequest: false,
+
+  /**
+   * A name for the controller, used in instrumentation events (i.e. 'posts').
+   * Defaults to the name of the controller's class if it was declared with
+   * class syntax (i.e. 'PostsController'). Controllers created with
+   * `.extend()` have no class name, so set it for those.
+   *
+   * @type {String}
+   */
+  controllerName: null,
+
+  /**
+   * The default timeout for this controller's actions, in milliseconds. An
+   * action (along with its filters) that takes longer is stopped, and a
+   * `TimeoutError` (which maps to a 503) is handed to `rescueFrom` handlers or
+   * `next(err)`. Defaults to no timeout.
+   *
+   * Handlers are given an `AbortSignal` as `req.signal`, which is aborted when
+   * the action times out, or the client disconnects. Pass it on to long
+   * running work (i.e. a database query or `fetch()`) so it can stop early.
+   *
+   * @type {Number}
+   */
+  timeout: null,
+
+  /**
+   * Timeouts for specific actions, in milliseconds, keyed by action name (i.e.
+   * `{ report: 5000 }`). These take precedence over `timeout`.
+   *
+   * @type {Object}
+   */
+  timeouts: null,
+
   /**
    * Returns true if the supplied response is complete. By default checks to see
    * if `res.headersSent` is true. Express only flips the `res.headersSent` flag to
-   * true once the response is actually sent.
+   * true once the response is actually sent. Koa responses (when running via
+   * `koa()`) count as complete once a body or status has been set, since Koa
+   * sends the response itself once the middleware has finished.
    *
    * @method isResSent
    *
@@ -202,7 +1390,7 @@ export default CoreObject.extend({
    * @return {Boolean}     whether or not the response as been sent
    */
   isResSent(res) {
-    return res.headersSent;
+    return isResponseComplete(res);
   },
 
   /**
@@ -222,23 +1410,200 @@ export default CoreObject.extend({
   _buildFilters() {
     let dsl = new FilterDSL();
     this._filters = dsl.filters;
+    this._rescuers = dsl.rescuers;
+    // Validate requests for the actions that have schemas. Adding it first
+    // means any controller can skip it, or position filters relative to it.
+    let validatedActions = Object.keys(this._validations);
+    let validation = null;
+    if (validatedActions.length > 0) {
+      dsl.owner = this._prototypesDefining('validateRequest')[0];
+      dsl.before('validateRequest', { only: validatedActions });
+      validation = dsl.filters[0];
+    }
+    // Invoke each prototype's filter method with our DSL, parent-most first.
+    // This ensures that filters from parent prototypes run before child
+    // filters do.
+    this._declarationsOf('filters').forEach(({ owner, value }) => {
+      dsl.owner = owner;
+      value.call(dsl, dsl);
+    });
+    // Unless a filter was positioned relative to it, validation runs after
+    // all the declared before filters, so filters like authentication still
+    // get the first say
+    if (validation && !validation.referenced) {
+      this._filters.splice(this._filters.indexOf(validation), 1);
+      let lastBefore = findLastIndex(this._filters, ({ stage }) => stage === 'before');
+      this._filters.splice(lastBefore + 1, 0, validation);
+    }
+  },
+
+  /**
+   * Walk the controller's prototype chain to build the list of custom routes
+   * declared in `routes()` methods. Routes declared by child controllers
+   * override those of their parents for the same action.
+   *
+   * @method _buildRoutes
+   * @private
+   */
+  _buildRoutes() {
+    let dsl = new RouteDSL();
+    this._declarationsOf('routes').forEach(({ owner, value }) => {
+      dsl.owner = owner;
+      value.call(dsl, dsl);
+    });
+    this._routes = dsl.routes;
+  },
+
+  /**
+   * Merge the `permittedParams` declared along the prototype chain, so each
+   * action's permit list includes those inherited from parent controllers.
+   *
+   * @method _buildPermittedParams
+   * @private
+   */
+  _buildPermittedParams() {
+    this._permittedParams = {};
+    this._declarationsOf('permittedParams').forEach(({ value }) => {
+      let declared = value || {};
+      Object.keys(declared).forEach((action) => {
+        let inherited = this._permittedParams[action] || [];
+        this._permittedParams[action] = inherited.concat(declared[action]);
+      });
+    });
+  },
+
+  /**
+   * Merge the `validates` schemas declared along the prototype chain. A
+   * subclass's schema for an action's body, query, or params replaces the one
+   * it inherited.
+   *
+   * @method _buildValidations
+   * @private
+   */
+  _buildValidations() {
+    this._validations = {};
+    this._declarationsOf('validates').forEach(({ value }) => {
+      let declared = value || {};
+      Object.keys(declared).forEach((action) => {
+        this._validations[action] = assign({}, this._validations[action], declared[action]);
+      });
+    });
+  },
+
+  /**
+   * Build a fresh instance of this controller's class for a single request.
+   *
+   * @method _instanceForRequest
+   * @private
+   *
+   * @return {Controller}
+   */
+  _instanceForRequest() {
+    let proto = prototypeOf(this);
+    // Native classes may have constructors of their own to run
+    if (proto.hasOwnProperty('constructor')) {
+      return new proto.constructor(...this._initArgs);
+    }
+    let instance = Object.create(proto);
+    instance.init.apply(instance, this._initArgs);
+    return instance;
+  },
+
+  /**
+   * Build the filters, routes, validations, and permitted params for this
+   * controller's class. These only depend on the class, so they are built
+   * once per class and shared by its instances (along with the cache of each
+   * action's handler chain), which keeps constructing per-request instances
+   * cheap.
+   *
+   * @method _compiled
+   * @private
+   *
+   * @return {Object}  the built properties to assign to the instance
+   */
+  _compiled() {
+    let proto = prototypeOf(this);
+    if (!proto.hasOwnProperty('_compiledState')) {
+      this._buildValidations();
+      this._buildFilters();
+      this._buildRoutes();
+      this._buildPermittedParams();
+      proto._compiledState = {
+        _validations: this._validations,
+        _filters: this._filters,
+        _rescuers: this._rescuers,
+        _routes: this._routes,
+        _permittedParams: this._permittedParams,
+        _handlerChains: {}
+      };
+    }
+    return proto._compiledState;
+  },
+
+  /**
+   * Collect a class-level declaration (i.e. `filters`) from along the
+   * prototype chain, parent-most first. For each prototype, the declarations
+   * of the concerns it includes come first (in the order they were included),
+   * followed by the prototype's own.
+   *
+   * @method _declarationsOf
+   * @private
+   *
+   * @param  {String}  name
+   *
+   * @return {Array}  `{ owner, value }` objects, where the owner is the
+   * prototype or concern that made the declaration
+   */
+  _declarationsOf(name) {
+    let declarations = [];
+    let target = prototypeOf(this);
+    let chain = [];
+    while (prototypeOf(target) !== Object.prototype) {
+      chain.unshift(target);
+      target = prototypeOf(target);
+    }
+    chain.forEach((proto) => {
+      let concerns = proto.hasOwnProperty('_concerns') ? proto._concerns : [];
+      concerns.forEach((concern) => {
+        if (concern.definition[name] !== undefined) {
+          declarations.push({ owner: concern, value: concern.definition[name] });
+        }
+      });
+      let value = ownDefinition(proto, name);
+      if (value !== undefined) {
+        declarations.push({ owner: proto, value });
+      }
+    });
+    return declarations;
+  },
+
+  /**
+   * Return the prototypes in this controller's prototype chain that define
+   * their own method with the given name (or whose native class defines it as
+   * a static member), parent-most prototype first.
+   *
+   * @method _prototypesDefining
+   * @private
+   *
+   * @param  {String}  methodName
+   *
+   * @return {Array}   an array of prototypes
+   */
+  _prototypesDefining(methodName) {
     // Start with this object, then walk up it's prototype chain, finding any
-    // parent prototypes that have filters defined. Build an array out of that
-    // list of prototypes.
+    // parent prototypes that have the method defined. Only look at each
+    // prototype's own method, otherwise a subclass without one would re-run
+    // its parent's.
     let target = prototypeOf(this);
     let chain = [];
     while (prototypeOf(target) !== Object.prototype) {
-      if (target.filters) {
+      if (ownDefinition(target, methodName) !== undefined) {
         chain.push(target);
       }
       target = prototypeOf(target);
     }
-    // Then reverse the list so we get the parent-most prototype first. Then
-    // build the filters by invoking each one's filter method with our DSL. This
-    // ensures that filters from parent prototypes run before child filters do.
-    chain.reverse().forEach((proto) => {
-      proto.filters.call(dsl);
-    });
+    // Then reverse the list so we get the parent-most prototype first.
+    return chain.reverse();
   },
 
   /**
@@ -250,19 +1615,105 @@ export default CoreObject.extend({
  * @private
  *
  * @param  {String}     actionName  - the name of the action to run
- * @param  {Array}   allFilters  - an array of filters to build from
+ * @param  {String|Array}   stages  - the filter stage(s) to include
  *
- * @return {Array}   The filters from the allFilters list that should apply
- * to the given actionName
-   */
-  _filtersForAction(actionName, stage) {
-    return pluck(this._filters.filter((filter) => {
-      let { only, except, skip } = filter.options;
-      return filter.stage === stage &&
-             !skip &&
-             !contains(except, actionName) &&
-             (only.length === 0 || contains(only, actionName));
-    }), 'name');
+ * @return {Array}   The filters (as `{ name, stage, if, unless }` objects)
+ * that should apply to the given actionName, in the order they were added.
+ * The `if` / `unless` conditions are checked per request, when the filters
+ * are run.
+   */
+  _filtersForAction(actionName, stages) {
+    stages = ensureArray(stages);
+    return this._filters.filter((filter) => {
+      return contains(stages, filter.stage) && !this._exclusionReason(filter, actionName);
+    }).map(({ name, stage, options }) => {
+      return { name, stage, if: options.if, unless: options.unless };
+    });
+  },
+
+  /**
+   * Work out why a filter won't run for the given action, if it won't.
+   *
+   * @method _exclusionReason
+   * @private
+   *
+   * @param  {Object}  filter
+   * @param  {String}  actionName
+   *
+   * @return {String}  "only" if the action isn't in the filter's whitelist,
+   * "except" if it is in the filter's blacklist, "skip" if the filter was
+   * skipped for the action, or null if the filter applies
+   */
+  _exclusionReason(filter, actionName) {
+    let { only, except } = filter.options;
+    if (only.length > 0 && !contains(only, actionName)) {
+      return 'only';
+    }
+    if (contains(except, actionName)) {
+      return 'except';
+    }
+    let skipped = filter.skips.some((skip) => {
+      if (skip.only.length > 0) {
+        return contains(skip.only, actionName);
+      }
+      return !contains(skip.except, actionName);
+    });
+    return skipped ? 'skip' : null;
   }
 
 });
+
+/**
+ * Subscribe to lifecycle events from every controller - see `instrument()` in
+ * the instrumentation module.
+ *
+ * @method instrument
+ * @static
+ */
+Controller.instrument = instrument;
+
+/**
+ * The base class for authorization policies - see lib/policy.js.
+ *
+ * @property Policy
+ * @static
+ */
+Controller.Policy = Policy;
+
+/**
+ * Define a concern - a bundle of filters, routes, validations, permitted
+ * params, actions, and helper methods that can be shared by unrelated
+ * controllers:
+ *
+ *     const Paginatable = Controller.concern({
+ *       name: 'Paginatable',
+ *       filters() {
+ *         this.before('loadPage', { only: 'index' });
+ *       },
+ *       loadPage(req) { ... }
+ *     });
+ *
+ *     const PostsController = ApplicationController.extend(Paginatable, Searchable, {
+ *       index(req, res) { ... }
+ *     });
+ *
+ * The concern's `filters()`, `routes()`, `validates`, and `permittedParams`
+ * apply to each controller that includes it, after those inherited from the
+ * parent class and before the controller's own. Everything else is copied on
+ * to the controller, so actions defined by a concern are the including
+ * controller's own actions.
+ *
+ * @method concern
+ * @static
+ *
+ * @param  {Object}  definition
+ *
+ * @return {Concern}
+ */
+Controller.concern = function concern(definition) {
+  return new Concern(definition);
+};
+
+Controller.extend = extendWithConcerns(CoreObject.extend);
+
+export default Controller;
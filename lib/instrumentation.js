@@ -0,0 +1,61 @@
+/**
+ * Lifecycle events for controllers. Subscribers registered with
+ * `Controller.instrument()` are invoked with an event object for each step of
+ * every request a controller handles.
+ *
+ * @title Instrumentation
+ */
+
+let subscribers = [];
+
+/**
+ * Subscribe to lifecycle events from every controller. The subscriber is
+ * invoked synchronously with each event; errors it throws are logged rather
+ * than interrupting the request.
+ *
+ * @param  {Function}  subscriber
+ *
+ * @return {Function}  unsubscribes the subscriber
+ */
+export function instrument(subscriber) {
+  subscribers = subscribers.concat([ subscriber ]);
+  return function unsubscribe() {
+    subscribers = subscribers.filter((s) => s !== subscriber);
+  };
+}
+
+/**
+ * Returns true if anything is subscribed to events, so the work of building
+ * them can be skipped if not.
+ *
+ * @private
+ */
+export function isInstrumented() {
+  return subscribers.length > 0;
+}
+
+/**
+ * Send an event to each subscriber.
+ *
+ * @private
+ */
+export function emit(event) {
+  subscribers.forEach((subscriber) => {
+    try {
+      subscriber(event);
+    } catch (err) {
+      console.error(err && err.stack || err);
+    }
+  });
+}
+
+/**
+ * The current time in milliseconds, with sub-millisecond precision where
+ * possible, for measuring durations.
+ *
+ * @private
+ */
+export function now() {
+  let [ seconds, nanoseconds ] = process.hrtime();
+  return seconds * 1e3 + nanoseconds / 1e6;
+}
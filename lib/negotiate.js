@@ -0,0 +1,120 @@
+import path from 'path';
+import url from 'url';
+import find from 'lodash/collection/find';
+import sortByOrder from 'lodash/collection/sortByOrder';
+
+/**
+ * The MIME types for the format names that `respondTo()` understands. Any
+ * other format name containing a "/" is treated as a MIME type itself.
+ *
+ * @private
+ */
+const MIME_TYPES = {
+  html: 'text/html',
+  json: 'application/json',
+  csv: 'text/csv',
+  xml: 'application/xml',
+  text: 'text/plain',
+  js: 'application/javascript'
+};
+
+/**
+ * Return the MIME type for a format name, if it has one.
+ *
+ * @private
+ */
+function mimeTypeFor(format) {
+  if (MIME_TYPES.hasOwnProperty(format)) {
+    return MIME_TYPES[format];
+  }
+  if (format.indexOf('/') > -1) {
+    return format;
+  }
+}
+
+/**
+ * Parse an Accept header into a list of media ranges, most preferred first.
+ * Ranges with a quality of 0 are dropped.
+ *
+ * @private
+ */
+function parseAccept(header) {
+  let ranges = header.split(',').map((part, index) => {
+    let [ mediaRange, ...params ] = part.trim().split(';');
+    let [ type, subtype = '*' ] = mediaRange.trim().toLowerCase().split('/');
+    let q = 1;
+    params.forEach((param) => {
+      let [ key, value ] = param.trim().split('=');
+      if (key === 'q') {
+        q = parseFloat(value);
+      }
+    });
+    let specificity = (type === '*' ? 0 : 1) + (subtype === '*' ? 0 : 1);
+    return { type, subtype, q, specificity, index };
+  }).filter(({ type, q }) => type && q > 0);
+  return sortByOrder(ranges, [ 'q', 'specificity', 'index' ], [ 'desc', 'desc', 'asc' ]);
+}
+
+/**
+ * Returns true if a parsed media range accepts the given format.
+ *
+ * @private
+ */
+function rangeMatches({ type, subtype }, format) {
+  let mimeType = mimeTypeFor(format);
+  if (!mimeType) {
+    return false;
+  }
+  let [ formatType, formatSubtype ] = mimeType.split('/');
+  return (type === '*' || type === formatType) &&
+         (subtype === '*' || subtype === formatSubtype);
+}
+
+/**
+ * Return the format explicitly requested via a `:format` route parameter or
+ * the extension on the request path (i.e. `/posts.csv`), if any. Extensions
+ * that aren't a known format are ignored, so `/users/j.smith` still works.
+ *
+ * @private
+ */
+function requestedFormat(req, formats) {
+  if (req.params && req.params.format) {
+    return req.params.format;
+  }
+  let pathname = req.path || url.parse(req.url || '').pathname || '';
+  let extension = path.extname(pathname).slice(1);
+  if (extension && (MIME_TYPES.hasOwnProperty(extension) || formats.indexOf(extension) > -1)) {
+    return extension;
+  }
+}
+
+/**
+ * Pick which of the given formats to respond with. An explicitly requested
+ * format (see above) wins; otherwise the Accept header is used. With no Accept
+ * header, the first format is used.
+ *
+ * @title Content Negotiation
+ *
+ * @param  {Request} req
+ * @param  {Array}  formats  the format names available, in order of
+ * preference (i.e. `[ 'json', 'csv' ]`)
+ *
+ * @return {String}          the chosen format, or undefined if none of the
+ * formats are acceptable
+ */
+export default function negotiate(req, formats) {
+  let explicit = requestedFormat(req, formats);
+  if (explicit) {
+    return formats.indexOf(explicit) > -1 ? explicit : undefined;
+  }
+  let accept = req.headers && req.headers.accept;
+  if (!accept) {
+    return formats[0];
+  }
+  let chosen;
+  parseAccept(accept).some((range) => {
+    chosen = find(formats, (format) => rangeMatches(range, format));
+    return Boolean(chosen);
+  });
+  return chosen;
+}
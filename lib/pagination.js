@@ -0,0 +1,198 @@
+import assert from 'assert';
+import Promise from 'bluebird';
+import { parse as parseUrl, format as formatUrl } from 'url';
+import assign from 'lodash/object/assign';
+import { InvalidCursorError } from './errors';
+import { setHeader } from './adapters';
+
+/**
+ * The options used by `paginate()` when none are given.
+ *
+ * @private
+ */
+const DEFAULTS = {
+  perPage: 25,
+  maxPerPage: 100,
+  mode: 'offset',
+  cursorFor(item) {
+    return item.id;
+  }
+};
+
+/**
+ * Parse a query string value as a positive integer, or return null if it
+ * isn't one.
+ *
+ * @private
+ */
+function positiveInteger(value) {
+  let number = parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+/**
+ * Encode a value (i.e. the id of the last record on a page) as an opaque,
+ * URL safe cursor.
+ *
+ * @param  {*}  value  anything JSON serializable
+ *
+ * @return {String}
+ */
+export function encodeCursor(value) {
+  let json = JSON.stringify(value);
+  let buffer = Buffer.from ? Buffer.from(json, 'utf8') : new Buffer(json, 'utf8');
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor made by `encodeCursor()`, throwing an InvalidCursorError if
+ * it can't be.
+ *
+ * @param  {String}  cursor
+ *
+ * @return {*}  the encoded value
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+    throw new InvalidCursorError(cursor);
+  }
+  let base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+  let buffer = Buffer.from ? Buffer.from(base64, 'base64') : new Buffer(base64, 'base64');
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (e) {
+    throw new InvalidCursorError(cursor);
+  }
+}
+
+/**
+ * Format links as an RFC 5988 `Link` header value.
+ *
+ * @param  {Object}  links  URLs, keyed by relation type (i.e. `next`)
+ *
+ * @return {String}
+ */
+export function linkHeader(links) {
+  return Object.keys(links).map((rel) => `<${ links[rel] }>; rel="${ rel }"`).join(', ');
+}
+
+/**
+ * Return the query string parameters for a request. Express and Koa parse
+ * them for us, plain node requests don't.
+ *
+ * @private
+ */
+function queryOf(req) {
+  return req.query || parseUrl(req.url, true).query;
+}
+
+/**
+ * Return the URL of the current request with some query string parameters
+ * changed. Parameters set to null are removed.
+ *
+ * @private
+ */
+function urlWith(req, params) {
+  let url = parseUrl(req.originalUrl || req.url, true);
+  let query = assign({}, url.query, params);
+  Object.keys(query).forEach((key) => {
+    if (query[key] === null) {
+      delete query[key];
+    }
+  });
+  return formatUrl({ pathname: url.pathname, query });
+}
+
+/**
+ * Normalize what a query function returned into its items and total (which
+ * is null if the query function didn't supply it).
+ *
+ * @private
+ */
+function normalizeResult(result) {
+  if (Array.isArray(result)) {
+    return { items: result, total: null };
+  }
+  let total = result.total;
+  return { items: result.items, total: total === undefined || total === null ? null : Number(total) };
+}
+
+/**
+ * Build the page and links for offset pagination.
+ *
+ * @private
+ */
+function offsetPage(req, { items, total }, { page, perPage, offset }) {
+  let more = items.length > perPage || total !== null && offset + perPage < total;
+  let links = { first: urlWith(req, { page: null }) };
+  if (page > 1) {
+    links.prev = urlWith(req, { page: page > 2 ? page - 1 : null });
+  }
+  if (more) {
+    links.next = urlWith(req, { page: page + 1 });
+  }
+  let pages = total === null ? null : Math.max(Math.ceil(total / perPage), 1);
+  if (pages !== null) {
+    links.last = urlWith(req, { page: pages > 1 ? pages : null });
+  }
+  return { items: items.slice(0, perPage), page, perPage, total, pages, links };
+}
+
+/**
+ * Build the page and links for cursor pagination.
+ *
+ * @private
+ */
+function cursorPage(req, { items, total }, { cursor, perPage }, cursorFor) {
+  let more = items.length > perPage;
+  items = items.slice(0, perPage);
+  let nextCursor = more ? encodeCursor(cursorFor(items[items.length - 1])) : null;
+  let links = { first: urlWith(req, { cursor: null }) };
+  if (nextCursor) {
+    links.next = urlWith(req, { cursor: nextCursor });
+  }
+  return { items, cursor, nextCursor, perPage, total, links };
+}
+
+/**
+ * Fetch one page of a collection, and set the `Link` (and, if the total is
+ * known, `X-Total-Count`) headers for it. See `Controller#paginate()`.
+ *
+ * @param  {Request}  req
+ * @param  {Response}  res
+ * @param  {Function}  query
+ * @param  {Object}  options
+ *
+ * @return {Promise}  resolves with the page
+ */
+export default function paginate(req, res, query, options) {
+  options = assign({}, DEFAULTS, options);
+  assert(options.mode === 'offset' || options.mode === 'cursor', `Unknown pagination mode: ${ options.mode }`);
+  return Promise.try(() => {
+    let params = queryOf(req);
+    let perPage = Math.min(positiveInteger(params.per_page) || options.perPage, options.maxPerPage);
+    // Ask for one more record than we need, to tell whether there's another page
+    let request = { perPage, limit: perPage + 1 };
+    if (options.mode === 'offset') {
+      request.page = positiveInteger(params.page) || 1;
+      request.offset = (request.page - 1) * perPage;
+    } else {
+      request.cursor = params.cursor || null;
+      request.after = request.cursor ? decodeCursor(request.cursor) : null;
+    }
+    return Promise.resolve(query.call(req.context, request)).then((result) => {
+      result = normalizeResult(result);
+      let page = options.mode === 'offset' ?
+        offsetPage(req, result, request) :
+        cursorPage(req, result, request, options.cursorFor);
+      page.toJSON = function() {
+        return this.items;
+      };
+      setHeader(res, 'Link', linkHeader(page.links));
+      if (page.total !== null) {
+        setHeader(res, 'X-Total-Count', String(page.total));
+      }
+      return page;
+    });
+  });
+}
@@ -0,0 +1,139 @@
+import CoreObject from 'core-object';
+import isPlainObject from 'lodash/lang/isPlainObject';
+import { ParameterMissingError } from './errors';
+
+/**
+ * Returns true if the value is a scalar, i.e. something that is safe to
+ * permit without knowing anything about its structure.
+ *
+ * @private
+ */
+function isScalar(value) {
+  let type = typeof value;
+  return value === null || type === 'string' || type === 'number' || type === 'boolean';
+}
+
+/**
+ * Returns true if the object has its own property with the given key. The
+ * object comes from the client, so it may have its own `hasOwnProperty` key,
+ * or no prototype at all.
+ *
+ * @private
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Copy the permitted keys of `source` into a new object. Each entry in
+ * `filters` is either a key name (permitted if it holds a scalar), or an
+ * object mapping key names to a nested permit list. An empty array as the
+ * nested list permits an array of scalars; otherwise the key may hold an
+ * object (or array of objects) which is filtered with the nested list.
+ *
+ * @private
+ */
+function permitKeys(source, filters) {
+  let permitted = {};
+  filters.forEach((filter) => {
+    if (typeof filter === 'string') {
+      if (hasOwn(source, filter) && isScalar(source[filter])) {
+        permitted[filter] = source[filter];
+      }
+      return;
+    }
+    Object.keys(filter).forEach((key) => {
+      let nested = filter[key];
+      let value = source[key];
+      if (!hasOwn(source, key)) {
+        return;
+      }
+      if (nested.length === 0) {
+        if (Array.isArray(value) && value.every(isScalar)) {
+          permitted[key] = value;
+        }
+      } else if (Array.isArray(value)) {
+        permitted[key] = value.filter(isPlainObject).map((item) => permitKeys(item, nested));
+      } else if (isPlainObject(value)) {
+        permitted[key] = permitKeys(value, nested);
+      }
+    });
+  });
+  return permitted;
+}
+
+/**
+ * Request parameters, with Rails-style "strong parameters" helpers for
+ * requiring and whitelisting keys. Use `controller.params(req)` to get the
+ * parameters for a request.
+ *
+ * @title Parameters
+ */
+const Parameters = CoreObject.extend({
+
+  /**
+   * @param  {Object} values     the parameter values
+   * @param  {Array} permitted   the permit list declared for the current
+   * action, if any, used when `permit()` is called without arguments
+   */
+  init(values, permitted) {
+    this._super.call(this);
+    this.values = values || {};
+    this.permitted = permitted;
+  },
+
+  /**
+   * Return the value of a required parameter. If the value is an object, it
+   * is wrapped as Parameters so it can be permitted in turn.
+   *
+   * @method require
+   *
+   * @param  {String} key
+   *
+   * @throws {ParameterMissingError} If the parameter is missing or empty
+   *
+   * @return {Parameters|*}
+   */
+  require(key) {
+    let value = this.values[key];
+    let emptyObject = isPlainObject(value) && Object.keys(value).length === 0;
+    if (value === undefined || value === null || value === '' || emptyObject) {
+      throw new ParameterMissingError(key);
+    }
+    if (isPlainObject(value)) {
+      return new Parameters(value, this.permitted);
+    }
+    return value;
+  },
+
+  /**
+   * Return a plain object with just the permitted keys, dropping everything
+   * else. Keys listed by name are only permitted if they hold a scalar value
+   * (a string, number, boolean, or null). Use `{ key: [] }` to permit an array
+   * of scalars, and `{ key: [ 'nested', 'keys' ] }` to permit a nested object
+   * (or array of objects).
+   *
+   *     params.require('post').permit('title', 'body', { tags: [] });
+   *
+   * Called with no arguments, the permit list declared for the current action
+   * (see the controller's `permittedParams`) is used.
+   *
+   * @method permit
+   *
+   * @param  {...String|Object} filters
+   *
+   * @return {Object}  the permitted parameters
+   */
+  permit(...filters) {
+    if (filters.length === 0) {
+      if (!this.permitted) {
+        throw new Error('permit() was called without a permit list, and none is declared for this action in permittedParams');
+      }
+      filters = this.permitted;
+    }
+    return permitKeys(this.values, filters);
+  }
+
+});
+
+export default Parameters;
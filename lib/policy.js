@@ -0,0 +1,31 @@
+import CoreObject from 'core-object';
+
+/**
+ * A base class for authorization policies. A policy is constructed with the
+ * current user and the record being accessed, and has a method for each
+ * query (usually named after an action) that returns whether the user may
+ * perform it - either a boolean, or a promise for one:
+ *
+ *     const PostPolicy = Policy.extend({
+ *       show() {
+ *         return this.record.published || this.update();
+ *       },
+ *       update() {
+ *         return this.user && this.user.id === this.record.authorId;
+ *       }
+ *     });
+ *
+ * Extending it is optional - `authorize()` accepts any class whose
+ * constructor takes the user and record.
+ *
+ * @class Policy
+ */
+export default CoreObject.extend({
+
+  init(user, record) {
+    this._super();
+    this.user = user;
+    this.record = record;
+  }
+
+});
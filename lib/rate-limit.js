@@ -0,0 +1,118 @@
+import CoreObject from 'core-object';
+import Promise from 'bluebird';
+import { sendStatus, setHeader } from './adapters';
+
+/**
+ * The default store for `rateLimit()` - an in-memory sliding window counter.
+ * Each key's count is an estimate of the requests made in the last
+ * `windowMs`, made by weighting the previous fixed window's count by how much
+ * of it overlaps the sliding window, so each key only needs two counters.
+ *
+ * Custom stores (i.e. backed by Redis, so limits are shared between
+ * processes) need a `hit(key, windowMs)` method that records a request, and
+ * returns (or resolves to) the `count` of requests in the current window,
+ * including this one, and `resetMs` - how long until the count goes down.
+ *
+ * @class SlidingWindowStore
+ */
+export const SlidingWindowStore = CoreObject.extend({
+
+  init() {
+    this._super.apply(this, arguments);
+    this._windows = Object.create(null);
+    this._lastSweep = Date.now();
+  },
+
+  /**
+   * Record a request for the given key.
+   *
+   * @method hit
+   *
+   * @param  {String}  key
+   * @param  {Number}  windowMs
+   *
+   * @return {Object}  the `count` and `resetMs` for the key
+   */
+  hit(key, windowMs) {
+    let now = Date.now();
+    let start = now - now % windowMs;
+    this._sweep(now);
+    let current = this._windows[key];
+    if (!current || current.start < start - windowMs) {
+      current = { start, windowMs, count: 0, previous: 0 };
+    } else if (current.start < start) {
+      current = { start, windowMs, count: 0, previous: current.count };
+    }
+    this._windows[key] = current;
+    current.count += 1;
+    let overlap = (windowMs - (now - start)) / windowMs;
+    return {
+      count: Math.floor(current.previous * overlap) + current.count,
+      resetMs: start + windowMs - now
+    };
+  },
+
+  /**
+   * Forget keys whose windows are too old to affect their counts, at most
+   * once a second.
+   *
+   * @method _sweep
+   * @private
+   */
+  _sweep(now) {
+    if (now - this._lastSweep < 1000) {
+      return;
+    }
+    this._lastSweep = now;
+    Object.keys(this._windows).forEach((key) => {
+      let { start, windowMs } = this._windows[key];
+      if (start + windowMs * 2 <= now) {
+        delete this._windows[key];
+      }
+    });
+  }
+
+});
+
+/**
+ * The default rate limit key - the id of `req.user` if there is one,
+ * otherwise the client's IP address.
+ *
+ * @private
+ */
+function defaultKey(req) {
+  if (req.user && req.user.id !== undefined) {
+    return `user:${ req.user.id }`;
+  }
+  let ip = req.ip || (req.connection || req.socket || {}).remoteAddress;
+  return `ip:${ ip }`;
+}
+
+/**
+ * Build the before filter that `rateLimit()` adds. It sets the
+ * `X-RateLimit-Limit`, `X-RateLimit-Remaining`, and `X-RateLimit-Reset`
+ * headers, and once a client is over the limit responds with a 429 and a
+ * `Retry-After` header.
+ *
+ * @private
+ *
+ * @param  {Object}  options  the options given to `rateLimit()`
+ *
+ * @return {Function}  the filter
+ */
+export default function rateLimitFilter({ name, max = 60, windowMs = 60000, key = defaultKey, store = new SlidingWindowStore() }) {
+  return function rateLimit(req, res) {
+    return Promise.resolve(key.call(this, req)).then((clientKey) => {
+      return store.hit(`${ name }:${ clientKey }`, windowMs);
+    }).then(({ count, resetMs }) => {
+      let resetSeconds = Math.ceil(resetMs / 1000);
+      setHeader(res, 'X-RateLimit-Limit', String(max));
+      setHeader(res, 'X-RateLimit-Remaining', String(Math.max(0, max - count)));
+      setHeader(res, 'X-RateLimit-Reset', String(Math.ceil((Date.now() + resetMs) / 1000)));
+      if (count > max) {
+        setHeader(res, 'Retry-After', String(resetSeconds));
+        sendStatus(res, 429);
+      }
+    });
+  };
+}
@@ -0,0 +1,64 @@
+import ensureArray from 'ensure-array';
+import contains from 'lodash/collection/contains';
+import sortBy from 'lodash/collection/sortBy';
+
+/**
+ * The conventional resource actions, and the routes they map to. `new` comes
+ * before `show` so that `/posts/new` isn't treated as a member route.
+ *
+ * @private
+ */
+const RESOURCE_ACTIONS = [
+  { action: 'index', method: 'get', on: 'collection' },
+  { action: 'new', method: 'get', on: 'collection', suffix: '/new' },
+  { action: 'create', method: 'post', on: 'collection' },
+  { action: 'show', method: 'get', on: 'member' },
+  { action: 'edit', method: 'get', on: 'member', suffix: '/edit' },
+  { action: 'update', method: 'patch', on: 'member' },
+  { action: 'update', method: 'put', on: 'member' },
+  { action: 'destroy', method: 'delete', on: 'member' }
+];
+
+/**
+ * Build the list of conventional REST routes for a resource mounted at the
+ * given path, along with any custom routes the controller declared. Collection
+ * routes come first, so they aren't mistaken for members.
+ *
+ * @title Resource Routes
+ *
+ * @param  {String} path  The collection path, i.e. `/posts` or
+ * `/posts/:postId/comments`
+ * @param  {Object} options
+ * @param  {String|Array} options.only  An action name or array of action
+ * names that are the only actions that should be routed.
+ * @param  {String|Array} options.except  An action name or array of action
+ * names that should not be routed.
+ * @param  {String} options.param  The name of the route parameter that
+ * identifies a member of the collection. Defaults to "id".
+ * @param  {Array} customRoutes  Custom routes, as declared with the route DSL
+ *
+ * @return {Array}  an array of `{ action, method, path }` route objects
+ */
+export default function resourceRoutes(path, options = {}, customRoutes = []) {
+  if (options.only && options.except) {
+    throw new Error(`You cannot supply both 'only' and 'except' options to a resource`);
+  }
+  let only = ensureArray(options.only);
+  let except = ensureArray(options.except);
+  let collectionPath = path.replace(/\/$/, '');
+  let memberPath = `${ collectionPath }/:${ options.param || 'id' }`;
+  let routes = RESOURCE_ACTIONS.concat(customRoutes.map((route) => {
+    return { action: route.action, method: route.method, on: route.on, suffix: `/${ route.path }` };
+  }));
+  routes = sortBy(routes, ({ on }) => on === 'member' ? 1 : 0);
+  return routes.filter(({ action }) => {
+    return !contains(except, action) &&
+           (only.length === 0 || contains(only, action));
+  }).map(({ action, method, on, suffix = '' }) => {
+    return {
+      action,
+      method,
+      path: (on === 'member' ? memberPath : collectionPath) + suffix
+    };
+  });
+}
@@ -0,0 +1,212 @@
+import CoreObject from 'core-object';
+import Promise from 'bluebird';
+import { captureResponse, replayResponse } from './adapters';
+
+/**
+ * The default store for `caches()` - an in-memory, least recently used cache
+ * which holds up to `maxEntries` responses.
+ *
+ * Custom stores (i.e. backed by Redis or memcached) need `get(key)`,
+ * `set(key, value, ttl)`, and `delete(key)` methods, each of which can return
+ * a promise. `get` should resolve to undefined for missing or expired keys.
+ *
+ * @class MemoryStore
+ */
+export const MemoryStore = CoreObject.extend({
+
+  /**
+   * The most entries to hold before evicting the least recently used one.
+   *
+   * @type {Number}
+   */
+  maxEntries: 1000,
+
+  init() {
+    this._super.apply(this, arguments);
+    this.clear();
+  },
+
+  /**
+   * Return the value stored for a key, unless it has expired.
+   *
+   * @method get
+   *
+   * @param  {String}  key
+   *
+   * @return {*}  the value, or undefined
+   */
+  get(key) {
+    let entry = this._entries[key];
+    if (!entry) {
+      return;
+    }
+    if (entry.expires && entry.expires <= Date.now()) {
+      this.delete(key);
+      return;
+    }
+    this._unlink(entry);
+    this._pushFront(entry);
+    return entry.value;
+  },
+
+  /**
+   * Store a value, evicting the least recently used entry if the store is
+   * full.
+   *
+   * @method set
+   *
+   * @param  {String}  key
+   * @param  {*}  value
+   * @param  {Number}  ttl  how long to keep the value for, in milliseconds (or
+   * forever, if not given)
+   */
+  set(key, value, ttl) {
+    this.delete(key);
+    let entry = { key, value, expires: ttl ? Date.now() + ttl : null };
+    this._entries[key] = entry;
+    this._pushFront(entry);
+    this.size += 1;
+    if (this.size > this.maxEntries) {
+      this.delete(this._tail.key);
+    }
+  },
+
+  /**
+   * Remove a key from the store.
+   *
+   * @method delete
+   *
+   * @param  {String}  key
+   */
+  delete(key) {
+    let entry = this._entries[key];
+    if (entry) {
+      this._unlink(entry);
+      delete this._entries[key];
+      this.size -= 1;
+    }
+  },
+
+  /**
+   * Remove everything from the store.
+   *
+   * @method clear
+   */
+  clear() {
+    this._entries = Object.create(null);
+    this._head = null;
+    this._tail = null;
+    this.size = 0;
+  },
+
+  /**
+   * Mark an entry as the most recently used.
+   *
+   * @method _pushFront
+   * @private
+   */
+  _pushFront(entry) {
+    entry.prev = null;
+    entry.next = this._head;
+    if (this._head) {
+      this._head.prev = entry;
+    }
+    this._head = entry;
+    if (!this._tail) {
+      this._tail = entry;
+    }
+  },
+
+  /**
+   * Take an entry out of the recently used list.
+   *
+   * @method _unlink
+   * @private
+   */
+  _unlink(entry) {
+    if (entry.prev) {
+      entry.prev.next = entry.next;
+    } else {
+      this._head = entry.next;
+    }
+    if (entry.next) {
+      entry.next.prev = entry.prev;
+    } else {
+      this._tail = entry.prev;
+    }
+  }
+
+});
+
+/**
+ * The default cache key - the action, the request url, and the Accept header
+ * (so actions that use `respondTo()` cache each format separately).
+ *
+ * @private
+ */
+function defaultKey(req) {
+  return `${ req.action }:${ req.originalUrl || req.url }:${ req.headers.accept || '' }`;
+}
+
+/**
+ * Returns true if a captured response varies on request headers other than
+ * Accept (which the default key accounts for), so it can't safely be served
+ * to other clients.
+ *
+ * @private
+ */
+function variesOnOtherHeaders({ headers }) {
+  let vary = headers && headers.vary;
+  if (!vary) {
+    return false;
+  }
+  return String(vary).split(',').some((name) => name.trim().toLowerCase() !== 'accept');
+}
+
+/**
+ * Build the pair of filters that `caches()` adds. The before filter serves a
+ * cached response if there is one (completing the request, so the action
+ * never runs), and otherwise starts capturing the response. The after filter
+ * stores the captured response if the action succeeded with a 200, unless
+ * its `Vary` header names a request header other than Accept.
+ *
+ * Only GET and HEAD requests are served from the cache, and only GET requests
+ * fill it.
+ *
+ * @private
+ *
+ * @param  {Object}  options  the options given to `caches()`
+ *
+ * @return {Object}  the `cacheLookup` and `cacheStore` filter functions
+ */
+export default function responseCacheFilters({ ttl, key = defaultKey, store = new MemoryStore() }) {
+  function cacheLookup(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return Promise.resolve();
+    }
+    return Promise.resolve(key(req)).then((cacheKey) => {
+      return Promise.resolve(store.get(cacheKey)).then((cached) => {
+        if (cached) {
+          replayResponse(res, cached);
+        } else if (req.method === 'GET') {
+          req._responseCache = { key: cacheKey, snapshot: captureResponse(res) };
+        }
+      });
+    });
+  }
+
+  function cacheStore(req, res, next, outcome) {
+    let capture = req._responseCache;
+    req._responseCache = null;
+    if (!capture || outcome.error) {
+      return Promise.resolve();
+    }
+    let snapshot = capture.snapshot();
+    if (!snapshot || snapshot.status !== 200 || variesOnOtherHeaders(snapshot)) {
+      return Promise.resolve();
+    }
+    return Promise.resolve(store.set(capture.key, snapshot, ttl));
+  }
+
+  return { cacheLookup, cacheStore };
+}
@@ -0,0 +1,96 @@
+import CoreObject from 'core-object';
+
+
+/**
+ * The route DSL allows a controller to declare routes for its actions beyond
+ * the conventional resource actions. Routes are declared in the controller's
+ * `routes()` method, and are added to the router by `resource()`.
+ *
+ * @title Route DSL
+ */
+export default CoreObject.extend({
+
+  init() {
+    this._super.apply(this, arguments);
+    this.routes = [];
+  },
+
+  /**
+   * Add a GET route for an action.
+   *
+   * @method get
+   *
+   * @param  {String} action  The name of the action to route to
+   * @param  {Object} options
+   * @param  {String} options.on  Either "member" (i.e. `/posts/:id/publish`)
+   * or "collection" (i.e. `/posts/search`). Defaults to "member".
+   * @param  {String} options.path  The path segment for the route. Defaults
+   * to the action name.
+   */
+  get(action, options) {
+    this._route('get', action, options);
+  },
+
+  /**
+   * Add a POST route for an action. Accepts the same options as `get()`.
+   *
+   * @method post
+   */
+  post(action, options) {
+    this._route('post', action, options);
+  },
+
+  /**
+   * Add a PUT route for an action. Accepts the same options as `get()`.
+   *
+   * @method put
+   */
+  put(action, options) {
+    this._route('put', action, options);
+  },
+
+  /**
+   * Add a PATCH route for an action. Accepts the same options as `get()`.
+   *
+   * @method patch
+   */
+  patch(action, options) {
+    this._route('patch', action, options);
+  },
+
+  /**
+   * Add a DELETE route for an action. Accepts the same options as `get()`.
+   *
+   * @method delete
+   */
+  delete(action, options) {
+    this._route('delete', action, options);
+  },
+
+  /**
+   * Add a route to the list of all routes. Routes declared for an action
+   * replace any routes a parent controller declared for that same action.
+   *
+   * @method _route
+   * @private
+   *
+   * @param  {String} method  The HTTP method, lowercased
+   * @param  {String} action  The name of the action to route to
+   * @param  {Object} options
+   */
+  _route(method, action, options = {}) {
+    if (typeof action !== 'string') {
+      throw new Error(`Routes must be for an action name, saw ${ action } instead.`);
+    }
+    let on = options.on || 'member';
+    if (on !== 'member' && on !== 'collection') {
+      throw new Error(`The 'on' option of the ${ action } route must be either 'member' or 'collection', saw ${ on } instead.`);
+    }
+    let path = (options.path || action).replace(/^\//, '');
+    this.routes = this.routes.filter((route) => {
+      return route.action !== action || route.owner === this.owner;
+    });
+    this.routes.push({ action, method, on, path, owner: this.owner });
+  }
+
+});
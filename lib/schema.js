@@ -0,0 +1,141 @@
+import isPlainObject from 'lodash/lang/isPlainObject';
+
+/**
+ * Return the JSON Schema type names that describe a value. Integers are both
+ * "integer" and "number". With `coerce`, strings that look like numbers or
+ * booleans count as those types too (handy for query strings and route
+ * parameters, which are always strings).
+ *
+ * @private
+ */
+function typesOf(value, coerce) {
+  if (value === null) {
+    return [ 'null' ];
+  }
+  if (Array.isArray(value)) {
+    return [ 'array' ];
+  }
+  if (typeof value === 'number') {
+    return value % 1 === 0 ? [ 'integer', 'number' ] : [ 'number' ];
+  }
+  if (typeof value === 'string' && coerce) {
+    if (/^-?\d+$/.test(value)) {
+      return [ 'string', 'integer', 'number' ];
+    }
+    if (/^-?\d*\.\d+$/.test(value)) {
+      return [ 'string', 'number' ];
+    }
+    if (value === 'true' || value === 'false') {
+      return [ 'string', 'boolean' ];
+    }
+  }
+  return [ typeof value ];
+}
+
+/**
+ * Join a property name onto a path, i.e. `body` + `title` => `body.title`.
+ *
+ * @private
+ */
+function join(path, key) {
+  return path ? `${ path }.${ key }` : key;
+}
+
+/**
+ * Validate a value against a schema, pushing an error for each failure onto
+ * `errors`.
+ *
+ * @private
+ */
+function check(schema, value, path, errors, coerce) {
+  let fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    let expected = [].concat(schema.type);
+    let actual = typesOf(value, coerce);
+    if (!expected.some((type) => actual.indexOf(type) > -1)) {
+      fail(`should be ${ expected.join(' or ') }`);
+      // The remaining keywords depend on the type, so there's no point going on
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    fail(`should be one of ${ schema.enum.join(', ') }`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`should be at least ${ schema.minLength } characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`should be at most ${ schema.maxLength } characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`should match ${ schema.pattern }`);
+    }
+  }
+
+  let number = typeof value === 'number' ? value : coerce && typeof value === 'string' && value !== '' ? Number(value) : NaN;
+  if (!isNaN(number)) {
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      fail(`should be at least ${ schema.minimum }`);
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      fail(`should be at most ${ schema.maximum }`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`should have at least ${ schema.minItems } items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`should have at most ${ schema.maxItems } items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${ path }[${ i }]`, errors, coerce));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    let properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: join(path, key), message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties.hasOwnProperty(key)) {
+        check(properties[key], value[key], join(path, key), errors, coerce);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), message: 'is not allowed' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        check(schema.additionalProperties, value[key], join(path, key), errors, coerce);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema. Only a subset of JSON Schema is
+ * supported: `type`, `enum`, `required`, `properties`,
+ * `additionalProperties`, `items`, `minLength`, `maxLength`, `pattern`,
+ * `minimum`, `maximum`, `minItems`, and `maxItems`.
+ *
+ * @title Schema Validation
+ *
+ * @param  {Object} schema
+ * @param  {*} value
+ * @param  {Object} options
+ * @param  {String} options.path  The path to report errors under, i.e. "body"
+ * @param  {Boolean} options.coerce  Treat strings that look like numbers or
+ * booleans as those types
+ *
+ * @return {Array}  an array of `{ path, message }` errors, empty if the value
+ * is valid
+ */
+export default function validate(schema, value, options = {}) {
+  let errors = [];
+  check(schema, value, options.path || '', errors, Boolean(options.coerce));
+  return errors;
+}
@@ -0,0 +1,218 @@
+import Promise from 'bluebird';
+import { parse as parseUrl } from 'url';
+import assign from 'lodash/object/assign';
+import forEach from 'lodash/collection/forEach';
+import { instrument } from './instrumentation';
+
+/**
+ * Helpers for testing controllers without a server. `dispatch()` runs an
+ * action through its full filter chain using mock request and response
+ * objects, and resolves with a record of what happened:
+ *
+ * ```js
+ * import { dispatch } from 'foraker/testing';
+ *
+ * dispatch(new PostsController(), 'show', { params: { id: '1' } })
+ * .then((result) => {
+ *   expect(result.status).to.equal(200);
+ *   expect(result.body).to.deep.equal({ id: '1' });
+ * });
+ * ```
+ *
+ * @title Testing
+ */
+
+/**
+ * Build a mock request. `query` is parsed from the url unless supplied, and
+ * header names are lowercased, as node does. `req.get(name)` reads a header,
+ * like Express.
+ *
+ * @param  {Object}  options
+ * @param  {String}  options.method   defaults to 'GET'
+ * @param  {String}  options.url      defaults to '/'
+ * @param  {Object}  options.headers
+ * @param  {Object}  options.params   route params
+ * @param  {Object}  options.query
+ * @param  {Object}  options.body
+ * @param  {Object}  options.context  `this` for filters and actions
+ *
+ * @return {Object}  the mock request
+ */
+export function createRequest(options = {}) {
+  let url = options.url || '/';
+  let headers = {};
+  forEach(options.headers, (value, name) => {
+    headers[name.toLowerCase()] = value;
+  });
+  return {
+    method: (options.method || 'GET').toUpperCase(),
+    url,
+    originalUrl: url,
+    path: parseUrl(url).pathname,
+    headers,
+    params: assign({}, options.params),
+    query: options.query || parseUrl(url, true).query,
+    body: options.body,
+    context: options.context || {},
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    }
+  };
+}
+
+/**
+ * Build a mock response, supporting the node methods (`setHeader()`,
+ * `write()`, `end()`, etc) and the common Express ones (`status()`, `set()`,
+ * `json()`, `send()`, `sendStatus()`, and `redirect()`). Whatever is sent is
+ * recorded on `res.body` - the value passed to `json()` or `send()`, or the
+ * text written with `write()` / `end()` - and `res.headersSent` is set once
+ * the response ends.
+ *
+ * @return {Object}  the mock response
+ */
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headersSent: false,
+    finished: false,
+    body: undefined,
+    _headers: {},
+
+    setHeader(name, value) {
+      this._headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return this._headers[name.toLowerCase()];
+    },
+    getHeaders() {
+      return assign({}, this._headers);
+    },
+    removeHeader(name) {
+      delete this._headers[name.toLowerCase()];
+    },
+    set(name, value) {
+      if (typeof name === 'object') {
+        forEach(name, (headerValue, headerName) => this.setHeader(headerName, headerValue));
+      } else {
+        this.setHeader(name, value);
+      }
+      return this;
+    },
+    get(name) {
+      return this.getHeader(name);
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    write(chunk) {
+      this.body = (this.body || '') + chunk;
+      return true;
+    },
+    end(chunk) {
+      if (chunk !== undefined) {
+        this.write(chunk);
+      }
+      this.headersSent = true;
+      this.finished = true;
+    },
+    send(body) {
+      if (body !== null && typeof body === 'object') {
+        return this.json(body);
+      }
+      if (!this.getHeader('content-type')) {
+        this.setHeader('content-type', 'text/html');
+      }
+      this.end(body);
+      if (this.finished) {
+        this.body = body;
+      }
+      return this;
+    },
+    json(body) {
+      this.setHeader('content-type', 'application/json');
+      // Written as text, so anything wrapping write() / end() sees what a
+      // real response would send, but recorded as the value itself
+      this.end(JSON.stringify(body));
+      if (this.finished) {
+        this.body = body;
+      }
+      return this;
+    },
+    sendStatus(code) {
+      this.statusCode = code;
+      return this.send(String(code));
+    },
+    redirect(status, url) {
+      if (url === undefined) {
+        url = status;
+        status = 302;
+      }
+      this.statusCode = status;
+      this.setHeader('location', url);
+      this.end();
+    }
+  };
+}
+
+/**
+ * Return the body sent on a mock response. JSON written as text (rather than
+ * with `json()`, i.e. a response replayed from a cache) is parsed.
+ *
+ * @private
+ */
+function parseBody(res) {
+  let type = res.getHeader('content-type') || '';
+  if (typeof res.body === 'string' && res.body && type.indexOf('json') > -1) {
+    return JSON.parse(res.body);
+  }
+  return res.body;
+}
+
+/**
+ * Run an action through its full filter chain with a mock request and
+ * response. The promise resolves (even if the action errored) with:
+ *
+ *   - `status`, `headers`, and `body` - what the action responded with (the
+ *     value passed to `json()`, or the parsed JSON if it was written as text)
+ *   - `nextCalled` - whether `next()` was called
+ *   - `error` - the error passed to `next(err)`, if any
+ *   - `filters` - the names of the filters that ran, in order
+ *   - `req` and `res` - the mock request and response
+ *
+ * @param  {Controller}  controller
+ * @param  {String}  actionName
+ * @param  {Object}  options     passed to `createRequest()`
+ *
+ * @return {Promise}  resolves with the result
+ */
+export function dispatch(controller, actionName, options = {}) {
+  let req = createRequest(options);
+  let res = createResponse();
+  let nextCalled = false;
+  let error = null;
+  let filters = [];
+  // Record which filters ran for this request from the instrumentation events
+  let unsubscribe = instrument((event) => {
+    if (event.type === 'filter:start' && event.req === req) {
+      filters.push(event.filter);
+    }
+  });
+  return Promise.try(() => {
+    return controller.action(actionName, req, res, (err) => {
+      nextCalled = true;
+      error = err || null;
+    });
+  }).finally(unsubscribe).then(() => {
+    return {
+      status: res.statusCode,
+      headers: assign({}, res._headers),
+      body: parseBody(res),
+      nextCalled,
+      error,
+      filters,
+      req,
+      res
+    };
+  });
+}
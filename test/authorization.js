@@ -0,0 +1,202 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { ForbiddenError, AuthorizationNotPerformedError } from '../lib/errors';
+import { dispatch, createRequest, createResponse } from '../lib/testing';
+
+describe('authorization', function() {
+
+  const PostPolicy = Controller.Policy.extend({
+    show() {
+      return this.record.published || this.update();
+    },
+    update() {
+      return Promise.resolve(Boolean(this.user) && this.user.id === this.record.authorId);
+    }
+  });
+
+  function Comment(attrs) {
+    this.authorId = attrs.authorId;
+  }
+  Comment.policy = Controller.Policy.extend({
+    destroy() {
+      return this.user.admin;
+    }
+  });
+
+  let posts = {
+    1: { id: 1, authorId: 1, published: false },
+    2: { id: 2, authorId: 2, published: true }
+  };
+
+  let errorsAfterResponse = [];
+  let PostsController = Controller.extend({
+    policy: PostPolicy,
+    filters() {
+      this.before('authenticate');
+      this.around('verifyAuthorized');
+    },
+    authenticate(req) {
+      let id = req.headers['x-user-id'];
+      req.user = id ? { id: Number(id) } : null;
+      return Promise.resolve();
+    },
+    show(req, res) {
+      return this.authorize(req, posts[req.params.id]).then((post) => {
+        res.json(post);
+      });
+    },
+    publish(req, res) {
+      return this.authorize(req, posts[req.params.id], 'update').then(() => {
+        res.json({ published: true });
+      });
+    },
+    removeComment(req, res) {
+      req.user = { admin: false };
+      return this.authorize(req, new Comment({ authorId: 1 }), 'destroy').then(() => {
+        res.status(204).end();
+      });
+    },
+    forgetful(req, res) {
+      res.json({ secret: 1 });
+      return Promise.resolve();
+    },
+    preview(req, res) {
+      this.skipAuthorization(req);
+      res.json({});
+      return Promise.resolve();
+    },
+    errorAfterResponse(err) {
+      errorsAfterResponse.push(err);
+    }
+  });
+  let controller = new PostsController({ instancePerRequest: true });
+
+  it('should allow queries the policy permits', function() {
+    return Promise.all([
+      dispatch(controller, 'show', { params: { id: '2' } }),
+      dispatch(controller, 'show', { params: { id: '1' }, headers: { 'X-User-Id': '1' } })
+    ]).then(([ anonymous, author ]) => {
+      expect(anonymous.body.id).to.equal(2);
+      expect(author.body.id).to.equal(1);
+    });
+  });
+
+  it('should reject with a ForbiddenError otherwise', function() {
+    return dispatch(controller, 'publish', { params: { id: '1' } })
+    .then(({ error }) => {
+      expect(error).to.be.an.instanceof(ForbiddenError);
+      expect(error.status).to.equal(403);
+      expect(error.query).to.equal('update');
+      expect(error.record).to.equal(posts[1]);
+      expect(error.policy).to.be.an.instanceof(PostPolicy);
+    });
+  });
+
+  it('should prefer the policy of the record\'s class', function() {
+    return dispatch(controller, 'removeComment', { params: {} })
+    .then(({ error }) => {
+      expect(error).to.be.an.instanceof(ForbiddenError);
+      expect(error.query).to.equal('destroy');
+    });
+  });
+
+  it('should fail actions that respond without authorizing, without sending the response', function() {
+    errorsAfterResponse = [];
+    return Promise.all([
+      dispatch(controller, 'forgetful'),
+      dispatch(controller, 'preview')
+    ]).then(([ forgetful, preview ]) => {
+      expect(forgetful.error).to.be.an.instanceof(AuthorizationNotPerformedError);
+      expect(forgetful.error.message).to.equal('The forgetful action finished without calling authorize()');
+      expect(forgetful.res.headersSent).to.equal(false);
+      expect(forgetful.body).to.equal(undefined);
+      expect(preview.error).to.equal(null);
+      expect(preview.status).to.equal(200);
+      expect(errorsAfterResponse).to.have.length(0);
+    });
+  });
+
+  it('should send the client an error instead of the unauthorized response', function() {
+    let req = createRequest();
+    let res = createResponse();
+    let QuietController = PostsController.extend({
+      forgetful: PostsController.prototype.forgetful,
+      reportServerError() {}
+    });
+    return new QuietController({ instancePerRequest: true }).handler('forgetful')(req, res)
+    .then(() => {
+      expect(res.statusCode).to.equal(500);
+      expect(res.body).to.equal('Internal Server Error');
+    });
+  });
+
+  it('should let before filters inside it respond and stop the chain', function() {
+    let destroyed = false;
+    let GuardedController = Controller.extend({
+      filters() {
+        this.around('verifyAuthorized');
+        this.before('authenticate');
+      },
+      authenticate(req, res) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return Promise.resolve();
+      },
+      destroy(req, res) {
+        destroyed = true;
+        this.skipAuthorization(req);
+        res.json({ deleted: true });
+        return Promise.resolve();
+      },
+      errorAfterResponse(err) {
+        errorsAfterResponse.push(err);
+      }
+    });
+    errorsAfterResponse = [];
+    return dispatch(new GuardedController(), 'destroy').then(({ error, status, body }) => {
+      expect(error).to.equal(null);
+      expect(status).to.equal(401);
+      expect(body).to.deep.equal({ error: 'Unauthorized' });
+      expect(destroyed).to.equal(false);
+      expect(errorsAfterResponse).to.have.length(0);
+    });
+  });
+
+  it('should take back Koa responses set without authorizing', function() {
+    let ctx = { request: { headers: {}, params: {} } };
+    ctx.response = { ctx, headerSent: false };
+    let KoaController = PostsController.extend({
+      forgetful(req, res) {
+        res.body = { secret: 1 };
+        return Promise.resolve();
+      }
+    });
+    let error;
+    return new KoaController().koa('forgetful')(ctx, () => {}).catch((err) => {
+      error = err;
+    }).then(() => {
+      expect(error).to.be.an.instanceof(AuthorizationNotPerformedError);
+      expect(ctx.response.body).to.equal(undefined);
+    });
+  });
+
+  it('should only be usable as an around filter', function() {
+    let AfterController = Controller.extend({
+      filters() {
+        this.after('verifyAuthorized');
+      },
+      show(req, res) {
+        res.json({});
+        return Promise.resolve();
+      },
+      errorAfterResponse(err) {
+        errorsAfterResponse.push(err);
+      }
+    });
+    errorsAfterResponse = [];
+    return dispatch(new AfterController(), 'show').then(() => {
+      expect(errorsAfterResponse[0].message).to.match(/must be added as an around filter/);
+    });
+  });
+
+});
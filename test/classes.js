@@ -0,0 +1,184 @@
+import vm from 'vm';
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { dispatch } from '../lib/testing';
+
+function filter(name) {
+  return function(req) {
+    req.ran = (req.ran || []).concat(name);
+    return Promise.resolve();
+  };
+}
+
+function respond(req, res) {
+  res.json({ ran: req.ran });
+  return Promise.resolve();
+}
+
+// Note that babel compiles this file, like the rest of the suite, so the
+// classes declared here are transpiled rather than run as real class syntax.
+// The 'untranspiled' tests below build their classes from source strings to
+// cover the runtime's own classes too.
+describe('native classes', function() {
+
+  // Controller -> extend -> class -> extend -> class
+  let ApplicationController = Controller.extend({
+    filters() {
+      this.before('authenticate');
+      this.before('loadAccount');
+    },
+    authenticate: filter('authenticate'),
+    loadAccount: filter('loadAccount'),
+    health: respond
+  });
+
+  class ResourceController extends ApplicationController {
+    static filters(dsl) {
+      dsl.skipBefore('loadAccount', { only: 'index' });
+      dsl.after('audit');
+    }
+    static routes(dsl) {
+      dsl.get('search', { on: 'collection' });
+    }
+    audit(req) {
+      return filter('audit').call(this, req);
+    }
+    index(req, res) {
+      return respond(req, res);
+    }
+  }
+  ResourceController.validates = { index: { query: { properties: { page: { type: 'integer' } } } } };
+
+  let AdminResourceController = ResourceController.extend({
+    filters() {
+      this.before('requireAdmin', { except: 'show' });
+    },
+    requireAdmin: filter('requireAdmin')
+  });
+
+  class PostsController extends AdminResourceController {
+    constructor(options) {
+      super(options);
+      this.constructed = true;
+    }
+    static filters(dsl) {
+      dsl.skipBefore('requireAdmin', { only: 'search' });
+    }
+    index(req, res) {
+      return respond(req, res);
+    }
+    show(req, res) {
+      return respond(req, res);
+    }
+    search(req, res) {
+      return respond(req, res);
+    }
+  }
+
+  let posts = new PostsController();
+
+  it('should run inherited filters from every kind of class, parent-most first', function() {
+    return Promise.all([
+      dispatch(posts, 'index'),
+      dispatch(posts, 'show'),
+      dispatch(posts, 'search')
+    ]).then(([ index, show, search ]) => {
+      expect(index.body.ran).to.deep.equal([ 'authenticate', 'requireAdmin' ]);
+      expect(show.body.ran).to.deep.equal([ 'authenticate', 'loadAccount' ]);
+      expect(search.body.ran).to.deep.equal([ 'authenticate', 'loadAccount' ]);
+      expect(show.filters).to.deep.equal([ 'authenticate', 'loadAccount', 'audit' ]);
+    });
+  });
+
+  it('should only treat each class\'s own methods as its actions', function() {
+    expect(posts.actionNames()).to.deep.equal([ 'index', 'show', 'search' ]);
+    expect(posts.hasAction('health')).to.equal(false);
+    expect(() => posts.action('health', {}, {}, () => {})).to.throw(/health action is not defined/);
+    expect(new ResourceController().actionNames()).to.deep.equal([ 'index' ]);
+  });
+
+  it('should describe which class added each filter', function() {
+    let [ index ] = posts.describe();
+    expect(index.filters.map(({ name, definedBy, excludedBy }) => [ name, definedBy, excludedBy ])).to.deep.equal([
+      [ 'authenticate', ApplicationController.prototype, null ],
+      [ 'loadAccount', ApplicationController.prototype, 'skip' ],
+      [ 'requireAdmin', AdminResourceController.prototype, null ],
+      [ 'validateRequest', Controller.prototype, null ],
+      [ 'audit', ResourceController.prototype, null ]
+    ]);
+  });
+
+  it('should inherit static routes and validations', function() {
+    let router = { get() {}, post() {}, patch() {}, put() {}, delete() {} };
+    let paths = posts.resource(router, '/posts').map(({ method, path }) => `${ method } ${ path }`);
+    expect(paths).to.include('get /posts/search');
+    return dispatch(posts, 'index', { url: '/posts?page=first' })
+    .then((result) => {
+      expect(result.error.status).to.equal(422);
+    });
+  });
+
+  it('should run native constructors for per-request instances', function() {
+    let controller = new PostsController({ instancePerRequest: true });
+    return dispatch(controller, 'show')
+    .then(({ req }) => {
+      expect(req.context).to.be.an.instanceof(PostsController);
+      expect(req.context).to.not.equal(controller);
+      expect(req.context.constructed).to.equal(true);
+    });
+  });
+
+
+  describe('untranspiled', function() {
+
+    // Compiled at runtime, so babel never sees the class syntax
+    function defineClass(source, ...dependencies) {
+      let names = dependencies.map((dependency, i) => `dependency${ i }`);
+      try {
+        let define = vm.runInThisContext(`(function(${ names.join(', ') }) { return ${ source }; })`);
+        return define(...dependencies);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    let NativePostsController = defineClass(`class NativePostsController extends dependency0 {
+      constructor(...args) {
+        super(...args);
+        this.constructed = true;
+      }
+      static filters(dsl) {
+        dsl.before('loadPost', { only: 'show' });
+        dsl.skipBefore('loadAccount');
+      }
+      loadPost(req) {
+        return dependency1('loadPost').call(this, req);
+      }
+      show(req, res) {
+        return dependency2(req, res);
+      }
+    }`, ApplicationController, filter, respond);
+
+    beforeEach(function() {
+      if (!NativePostsController) {
+        // This runtime doesn't support class syntax
+        this.skip();
+      }
+    });
+
+    it('should run real classes, with their static filters and own actions', function() {
+      let controller = new NativePostsController({ instancePerRequest: true });
+      expect(controller.actionNames()).to.deep.equal([ 'show' ]);
+      return dispatch(controller, 'show')
+      .then((result) => {
+        expect(result.body.ran).to.deep.equal([ 'authenticate', 'loadPost' ]);
+        expect(result.req.context).to.be.an.instanceof(NativePostsController);
+        expect(result.req.context).to.not.equal(controller);
+        expect(result.req.context.constructed).to.equal(true);
+      });
+    });
+
+  });
+
+});
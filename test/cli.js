@@ -0,0 +1,31 @@
+import path from 'path';
+import { expect } from 'chai';
+import cli, { loadControllers, routesTable } from '../lib/cli';
+
+const fixtures = path.join(__dirname, 'fixtures', 'controllers');
+
+describe('foraker routes', function() {
+
+  it('loads the controllers in a directory, named after their files', function() {
+    let controllers = loadControllers(fixtures);
+    expect(controllers.map(({ name }) => name)).to.deep.equal([ 'application', 'posts' ]);
+  });
+
+  it('prints the routes, actions, and filters that run for each action', function() {
+    expect(routesTable(loadControllers(fixtures)).split('\n')).to.deep.equal([
+      'Verb   Path        Action         Filters',
+      'GET    /posts      posts#index    ',
+      'PATCH  /posts/:id  posts#update   before: authenticate [application]; after: audit',
+      'PUT    /posts/:id  posts#update   before: authenticate [application]; after: audit',
+      '                   posts#publish  before: authenticate [application]; after: audit'
+    ].map((line) => line.replace(/\s+$/, '')));
+  });
+
+  it('prints usage for unknown commands', function() {
+    let output = '';
+    let code = cli([ 'nope' ], { write(str) { output += str; } });
+    expect(code).to.equal(1);
+    expect(output).to.match(/Usage: foraker routes/);
+  });
+
+});
@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { routesTable } from '../lib/cli';
+import { dispatch } from '../lib/testing';
+
+function filter(name) {
+  return function(req) {
+    req.ran = (req.ran || []).concat(name);
+    return Promise.resolve();
+  };
+}
+
+function respond(req, res) {
+  res.json({ ran: req.ran, page: req.page });
+  return Promise.resolve();
+}
+
+describe('concerns', function() {
+
+  const Paginatable = Controller.concern({
+    name: 'Paginatable',
+    filters() {
+      this.before('loadPage', { only: 'index' });
+    },
+    permittedParams: { index: [ 'page' ] },
+    loadPage(req) {
+      req.page = Number(req.query.page || 1);
+      return filter('loadPage')(req);
+    }
+  });
+
+  const Searchable = Controller.concern({
+    filters() {
+      this.after('logSearch', { only: 'search' });
+    },
+    routes() {
+      this.get('search', { on: 'collection' });
+    },
+    logSearch: filter('logSearch'),
+    search: respond
+  });
+
+  let ApplicationController = Controller.extend({
+    filters() {
+      this.before('authenticate');
+    },
+    authenticate: filter('authenticate')
+  });
+
+  let PostsController = ApplicationController.extend(Paginatable, Searchable, {
+    filters() {
+      this.before('loadPosts');
+      this.skipBefore('authenticate', { only: 'search' });
+    },
+    loadPosts: filter('loadPosts'),
+    index: respond
+  });
+
+  let posts = new PostsController();
+
+  it('should run concern filters after inherited filters and before the class\'s own', function() {
+    return dispatch(posts, 'index', { url: '/posts?page=3' })
+    .then((result) => {
+      expect(result.body).to.deep.equal({ ran: [ 'authenticate', 'loadPage', 'loadPosts' ], page: 3 });
+    });
+  });
+
+  it('should treat actions from included concerns as the controller\'s own', function() {
+    expect(posts.hasAction('search')).to.equal(true);
+    expect(posts.actionNames()).to.deep.equal([ 'search', 'index' ]);
+    expect(new ApplicationController().hasAction('search')).to.equal(false);
+    return dispatch(posts, 'search')
+    .then((result) => {
+      expect(result.filters).to.deep.equal([ 'loadPosts', 'logSearch' ]);
+    });
+  });
+
+  it('should not treat concern actions as own actions of subclasses', function() {
+    let DraftsController = PostsController.extend({ index: respond });
+    let drafts = new DraftsController();
+    expect(drafts.hasAction('search')).to.equal(false);
+    return dispatch(drafts, 'index')
+    .then((result) => {
+      expect(result.body.ran).to.deep.equal([ 'authenticate', 'loadPage', 'loadPosts' ]);
+    });
+  });
+
+  it('should apply concern routes and permitted params', function() {
+    let router = { get() {}, post() {}, patch() {}, put() {}, delete() {} };
+    let paths = posts.resource(router, '/posts').map(({ method, path }) => `${ method } ${ path }`);
+    expect(paths).to.deep.equal([ 'get /posts', 'get /posts/search' ]);
+    let params = posts.params({ action: 'index', query: { page: '2', admin: true } }).permit();
+    expect(params).to.deep.equal({ page: '2' });
+  });
+
+  it('should label concern filters in the routes table', function() {
+    let table = routesTable([ { name: 'posts', Controller: PostsController } ]);
+    expect(table).to.contain('before: authenticate [(anonymous)], loadPage [Paginatable], loadPosts');
+    expect(table).to.contain('after: logSearch [(concern)]');
+  });
+
+  it('should work with native classes', function() {
+    class CommentsController extends Controller.extend(Paginatable, {}) {
+      index(req, res) {
+        return respond(req, res);
+      }
+    }
+    return dispatch(new CommentsController(), 'index')
+    .then((result) => {
+      expect(result.body.ran).to.deep.equal([ 'loadPage' ]);
+    });
+  });
+
+});
@@ -0,0 +1,11 @@
+import Promise from 'bluebird';
+import Controller from '../../../lib/index';
+
+export default Controller.extend({
+  filters() {
+    this.before('authenticate');
+  },
+  authenticate() {
+    return Promise.resolve();
+  }
+});
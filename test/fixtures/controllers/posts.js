@@ -0,0 +1,21 @@
+import Promise from 'bluebird';
+import ApplicationController from './application';
+
+export default ApplicationController.extend({
+  filters() {
+    this.skipBefore('authenticate', { only: 'index' });
+    this.after('audit', { only: [ 'update', 'publish' ] });
+  },
+  index() {
+    return Promise.resolve();
+  },
+  update() {
+    return Promise.resolve();
+  },
+  publish() {
+    return Promise.resolve();
+  },
+  audit() {
+    return Promise.resolve();
+  }
+});
@@ -1,6 +1,9 @@
 import { expect } from 'chai';
+import { EventEmitter } from 'events';
 import Promise from 'bluebird';
 import Controller from '../lib/index';
+import { dispatch } from '../lib/testing';
+import { TimeoutError } from '../lib/errors';
 
 function createController(actions) {
   let Klass = Controller.extend(actions);
@@ -48,6 +51,550 @@ describe('foraker', function() {
     });
   });
 
+  describe('resource', function() {
+
+    function createRouter() {
+      let routes = [];
+      let router = { routes };
+      [ 'get', 'post', 'patch', 'put', 'delete' ].forEach((method) => {
+        router[method] = (path, handler) => {
+          expect(handler).to.be.a('function');
+          routes.push(`${ method.toUpperCase() } ${ path }`);
+        };
+      });
+      return router;
+    }
+
+    function action() {
+      return Promise.resolve();
+    }
+
+    it('should route the conventional actions the controller defines', function() {
+      let router = createRouter();
+      let controller = createController({
+        index: action,
+        new: action,
+        create: action,
+        show: action,
+        edit: action,
+        update: action,
+        destroy: action
+      });
+      controller.resource(router, '/posts');
+      expect(router.routes).to.deep.equal([
+        'GET /posts',
+        'GET /posts/new',
+        'POST /posts',
+        'GET /posts/:id',
+        'GET /posts/:id/edit',
+        'PATCH /posts/:id',
+        'PUT /posts/:id',
+        'DELETE /posts/:id'
+      ]);
+    });
+
+    it('should not route actions inherited from parent controllers', function() {
+      let router = createRouter();
+      let ParentController = Controller.extend({ index: action, destroy: action });
+      let ChildController = ParentController.extend({ show: action });
+      new ChildController().resource(router, '/posts');
+      expect(router.routes).to.deep.equal([ 'GET /posts/:id' ]);
+    });
+
+    it('should support only / except', function() {
+      let router = createRouter();
+      let controller = createController({ index: action, show: action, destroy: action });
+      controller.resource(router, '/posts', { except: 'destroy' });
+      controller.resource(router, '/drafts', { only: [ 'index' ] });
+      expect(router.routes).to.deep.equal([ 'GET /posts', 'GET /posts/:id', 'GET /drafts' ]);
+    });
+
+    it('should route custom member and collection routes declared in routes()', function() {
+      let router = createRouter();
+      let controller = createController({
+        routes() {
+          this.post('publish', { on: 'member' });
+          this.get('search', { on: 'collection' });
+        },
+        index: action,
+        show: action,
+        publish: action,
+        search: action
+      });
+      controller.resource(router, '/posts');
+      expect(router.routes).to.deep.equal([
+        'GET /posts',
+        'GET /posts/search',
+        'GET /posts/:id',
+        'POST /posts/:id/publish'
+      ]);
+    });
+
+    it('should let subclasses inherit and override custom routes', function() {
+      let router = createRouter();
+      let ParentController = Controller.extend({
+        routes() {
+          this.get('search', { on: 'collection' });
+          this.post('archive');
+        }
+      });
+      let ChildController = ParentController.extend({
+        routes() {
+          this.post('search', { on: 'collection', path: 'find' });
+        },
+        search: action,
+        archive: action
+      });
+      new ChildController().resource(router, '/posts');
+      expect(router.routes).to.deep.equal([ 'POST /posts/find', 'POST /posts/:id/archive' ]);
+    });
+
+    it('should support nested resources', function() {
+      let router = createRouter();
+      let controller = createController({ index: action, show: action });
+      controller.resource(router, '/posts/:postId/comments/', { param: 'commentId' });
+      expect(router.routes).to.deep.equal([ 'GET /posts/:postId/comments', 'GET /posts/:postId/comments/:commentId' ]);
+    });
+
+  });
+
+  describe('describe', function() {
+
+    it('lists the filters for each action, where they came from, and why any were excluded', function() {
+      let ParentController = Controller.extend({
+        filters() {
+          this.before('authenticate');
+          this.after('audit', { only: 'update' });
+        }
+      });
+      let ChildController = ParentController.extend({
+        filters() {
+          this.skipBefore('authenticate', { only: 'index' });
+          this.around('transaction', { except: 'index', if: 'isWrite' });
+        },
+        index() {},
+        update() {},
+        isWrite() {}
+      });
+      let description = new ChildController().describe();
+      let summarize = ({ name, stage, definedBy, excludedBy }) => {
+        return [ name, stage, definedBy === ParentController.prototype ? 'parent' : 'child', excludedBy ];
+      };
+
+      expect(description.map(({ action }) => action)).to.deep.equal([ 'index', 'update' ]);
+      expect(description[0].filters.map(summarize)).to.deep.equal([
+        [ 'authenticate', 'before', 'parent', 'skip' ],
+        [ 'transaction', 'around', 'child', 'except' ],
+        [ 'audit', 'after', 'parent', 'only' ]
+      ]);
+      expect(description[1].filters.map(summarize)).to.deep.equal([
+        [ 'authenticate', 'before', 'parent', null ],
+        [ 'transaction', 'around', 'child', null ],
+        [ 'audit', 'after', 'parent', null ]
+      ]);
+      expect(description[1].filters[1].if).to.equal('isWrite');
+    });
+
+    it('does not treat overridden Controller methods as actions', function() {
+      let controller = createController({
+        errorAfterResponse() {},
+        isResSent() {
+          return true;
+        },
+        timeoutFor() {
+          return null;
+        },
+        create() {}
+      });
+      expect(controller.actionNames()).to.deep.equal([ 'create' ]);
+      expect(controller.describe().map(({ action }) => action)).to.deep.equal([ 'create' ]);
+      expect(controller.hasAction('errorAfterResponse')).to.equal(false);
+      expect(controller.hasAction('create')).to.equal(true);
+    });
+
+    it('still treats actions named like Controller helpers as actions', function() {
+      let controller = createController({
+        params() {},
+        describe() {},
+        timeout() {}
+      });
+      expect(controller.actionNames()).to.deep.equal([ 'params', 'describe', 'timeout' ]);
+      expect(controller.hasAction('params')).to.equal(true);
+    });
+
+  });
+
+  describe('respondTo', function() {
+
+    function createResponse() {
+      return {
+        headersSent: false,
+        statusCode: 200,
+        headers: {},
+        getHeader(name) {
+          return this.headers[name.toLowerCase()];
+        },
+        setHeader(name, value) {
+          this.headers[name.toLowerCase()] = value;
+        },
+        json() {
+          this.headersSent = true;
+        },
+        end() {
+          this.headersSent = true;
+        }
+      };
+    }
+
+    let controller = createController({});
+    let formats = {
+      json() { return 'json'; },
+      html() { return 'html'; },
+      csv() { return 'csv'; }
+    };
+
+    it('should pick the format the Accept header prefers', function() {
+      let req = { url: '/posts', headers: { accept: 'text/html;q=0.5, text/csv, */*;q=0.1' } };
+      return controller.respondTo(req, createResponse(), formats)
+      .then((format) => {
+        expect(format).to.equal('csv');
+      });
+    });
+
+    it('should prefer the format extension over the Accept header', function() {
+      let req = { url: '/posts.csv?page=2', headers: { accept: 'application/json' } };
+      return controller.respondTo(req, createResponse(), formats)
+      .then((format) => {
+        expect(format).to.equal('csv');
+      });
+    });
+
+    it('should use the first format for wildcard or missing Accept headers', function() {
+      return Promise.all([
+        controller.respondTo({ url: '/posts', headers: { accept: '*/*' } }, createResponse(), formats),
+        controller.respondTo({ url: '/users/j.smith', headers: {} }, createResponse(), formats)
+      ]).then((chosen) => {
+        expect(chosen).to.deep.equal([ 'json', 'json' ]);
+      });
+    });
+
+    it('should fall back to the default, or respond 406 if there is none', function() {
+      let req = { url: '/posts', headers: { accept: 'image/png' } };
+      let res = createResponse();
+      return controller.respondTo(req, createResponse(), { json() {}, default() { return 'default'; } })
+      .then((format) => {
+        expect(format).to.equal('default');
+        return controller.respondTo(req, res, formats);
+      }).then(() => {
+        expect(res.statusCode).to.equal(406);
+        expect(res.headersSent).to.equal(true);
+      });
+    });
+
+    it('should wait for a promise returned by the chosen format', function() {
+      let Klass = Controller.extend({
+        actionThatNegotiates(req, res) {
+          return req.controller.respondTo(req, res, {
+            json() {
+              return Promise.delay(1).then(() => res.json({}));
+            }
+          });
+        }
+      });
+      let req = { context: {}, url: '/posts.json', headers: {} };
+      let res = createResponse();
+      return new Klass().action('actionThatNegotiates', req, res, noop)
+      .then(() => {
+        expect(res.headersSent).to.equal(true);
+      });
+    });
+
+    it('should add Accept to the Vary header', function() {
+      let req = { url: '/posts', headers: { accept: 'text/csv' } };
+      let fresh = createResponse();
+      let varied = createResponse();
+      varied.setHeader('Vary', 'Origin');
+      return Promise.all([
+        controller.respondTo(req, fresh, formats),
+        controller.respondTo(req, varied, formats),
+        controller.respondTo(req, varied, formats)
+      ]).then(() => {
+        expect(fresh.headers.vary).to.equal('Accept');
+        expect(varied.headers.vary).to.equal('Origin, Accept');
+      });
+    });
+
+  });
+
+  describe('adapters', function() {
+
+    function createKoaContext() {
+      let ctx = { request: { headers: {} }, params: { id: '1' } };
+      ctx.response = { ctx, headerSent: false };
+      return ctx;
+    }
+
+    function createNodeResponse() {
+      return {
+        headersSent: false,
+        statusCode: 200,
+        end(body) {
+          this.body = body;
+          this.headersSent = true;
+        }
+      };
+    }
+
+    it('should run actions as Koa middleware with ctx as the context', function() {
+      let ctx = createKoaContext();
+      let controller = createController({
+        show(req, res) {
+          expect(this).to.equal(ctx);
+          res.body = { id: req.params.id };
+          return Promise.resolve();
+        }
+      });
+      return controller.koa('show')(ctx, noop)
+      .then(() => {
+        expect(ctx.response.body).to.deep.equal({ id: '1' });
+      });
+    });
+
+    it('should hand off to downstream Koa middleware when next is called', function() {
+      let ctx = createKoaContext();
+      let controller = createController({
+        show(req, res, next) {
+          next();
+          return Promise.resolve();
+        }
+      });
+      return controller.koa('show')(ctx, () => Promise.resolve('downstream'))
+      .then((result) => {
+        expect(result).to.equal('downstream');
+      });
+    });
+
+    it('should reject the Koa middleware promise with unhandled errors', function() {
+      let controller = createController({
+        show() {
+          return Promise.reject(new Error('Boom'));
+        }
+      });
+      return controller.koa('show')(createKoaContext(), noop)
+      .then(() => {
+        throw new Error('Expected the middleware to reject');
+      }, (error) => {
+        expect(error.message).to.equal('Boom');
+      });
+    });
+
+    it('should run actions as node http request listeners', function() {
+      let req = {};
+      let res = createNodeResponse();
+      let controller = createController({
+        show(incoming, outgoing) {
+          expect(this).to.equal(req.context);
+          outgoing.end('shown');
+          return Promise.resolve();
+        }
+      });
+      return controller.handler('show')(req, res)
+      .then(() => {
+        expect(res.body).to.equal('shown');
+      });
+    });
+
+    it('should respond with the error status, or 404, when nothing else can', function() {
+      let notFound = createNodeResponse();
+      let forbidden = createNodeResponse();
+      let controller = createController({
+        skip(req, res, next) {
+          next();
+          return Promise.resolve();
+        },
+        fail() {
+          let error = new Error('Forbidden');
+          error.status = 403;
+          return Promise.reject(error);
+        }
+      });
+      return Promise.all([
+        controller.handler('skip')({}, notFound),
+        controller.handler('fail')({}, forbidden)
+      ]).then(() => {
+        expect(notFound.statusCode).to.equal(404);
+        expect(forbidden.statusCode).to.equal(403);
+        expect(forbidden.body).to.equal('Forbidden');
+      });
+    });
+
+    it('should report server errors from handler() through reportServerError()', function() {
+      let error = new Error('Boom');
+      let reported = [];
+      let res = createNodeResponse();
+      let controller = createController({
+        fail() {
+          return Promise.reject(error);
+        },
+        reportServerError(err, req, sent) {
+          reported.push([ err, sent ]);
+        }
+      });
+      return controller.handler('fail')({}, res)
+      .then(() => {
+        expect(reported).to.deep.equal([ [ error, res ] ]);
+        expect(res.statusCode).to.equal(500);
+        expect(res.body).to.equal('Internal Server Error');
+      });
+    });
+
+  });
+
+  describe('freshWhen', function() {
+
+    let post = { id: 1, title: 'Hello' };
+    let updatedAt = new Date('2015-08-01T12:00:00.500Z');
+    let Klass = Controller.extend({
+      filters() {
+        this.before('checkFreshness', { only: 'cached' });
+      },
+      checkFreshness(req, res) {
+        req.controller.freshWhen(req, res, { etag: 'v1', public: true });
+        return Promise.resolve();
+      },
+      cached(req, res) {
+        res.json(post);
+        return Promise.resolve();
+      },
+      show(req, res) {
+        if (req.controller.stale(req, res, { etag: post, lastModified: updatedAt })) {
+          res.json(post);
+        }
+        return Promise.resolve();
+      }
+    });
+    let controller = new Klass();
+
+    it('should set the validators and render when the client has no cached copy', function() {
+      return dispatch(controller, 'show')
+      .then((result) => {
+        expect(result.status).to.equal(200);
+        expect(result.body).to.equal(post);
+        expect(result.headers.etag).to.match(/^W\/"[0-9a-f]{32}"$/);
+        expect(result.headers['last-modified']).to.equal('Sat, 01 Aug 2015 12:00:00 GMT');
+      });
+    });
+
+    it('should send a 304 when the ETag matches', function() {
+      return dispatch(controller, 'show')
+      .then(({ headers }) => {
+        return dispatch(controller, 'show', { headers: { 'If-None-Match': `"other", ${ headers.etag }` } });
+      }).then((result) => {
+        expect(result.status).to.equal(304);
+        expect(result.body).to.equal(undefined);
+        expect(result.error).to.equal(null);
+      });
+    });
+
+    it('should ignore If-Modified-Since when If-None-Match is present', function() {
+      let headers = { 'If-None-Match': '"stale"', 'If-Modified-Since': 'Sat, 01 Aug 2015 12:00:00 GMT' };
+      return dispatch(controller, 'show', { headers })
+      .then((result) => {
+        expect(result.status).to.equal(200);
+      });
+    });
+
+    it('should send a 304 when not modified since the given date', function() {
+      return Promise.all([
+        dispatch(controller, 'show', { headers: { 'If-Modified-Since': 'Sat, 01 Aug 2015 12:00:00 GMT' } }),
+        dispatch(controller, 'show', { headers: { 'If-Modified-Since': 'Sat, 01 Aug 2015 11:59:59 GMT' } }),
+        dispatch(controller, 'show', { method: 'POST', headers: { 'If-Modified-Since': 'Sat, 01 Aug 2015 12:00:00 GMT' } })
+      ]).then((results) => {
+        expect(results.map(({ status }) => status)).to.deep.equal([ 304, 200, 200 ]);
+      });
+    });
+
+    it('should stop the chain when a before filter sends a 304', function() {
+      return dispatch(controller, 'cached', { headers: { 'If-None-Match': 'W/"v1"' } })
+      .then((result) => {
+        expect(result.status).to.equal(304);
+        expect(result.headers.etag).to.equal('"v1"');
+        expect(result.headers['cache-control']).to.equal('public');
+        expect(result.body).to.equal(undefined);
+        expect(result.nextCalled).to.equal(false);
+      });
+    });
+
+  });
+
+  describe('timeouts and cancellation', function() {
+
+    let Klass = Controller.extend({
+      timeout: 1000,
+      timeouts: { report: 20 },
+      filters() {
+        this.after('audit');
+      },
+      audit(req) {
+        req.audited = true;
+        return Promise.resolve();
+      },
+      report(req) {
+        req.receivedSignal = req.signal;
+        return new Promise((resolve) => {
+          req.signal.addEventListener('abort', resolve);
+        });
+      },
+      show(req, res) {
+        res.json({ ok: true });
+        return Promise.resolve();
+      }
+    });
+    let controller = new Klass();
+
+    it('should use per-action timeouts, falling back to the default', function() {
+      expect(controller.timeoutFor('report')).to.equal(20);
+      expect(controller.timeoutFor('show')).to.equal(1000);
+      expect(createController({}).timeoutFor('show')).to.equal(null);
+    });
+
+    it('should pass a TimeoutError on when an action takes too long', function() {
+      return dispatch(controller, 'report')
+      .then((result) => {
+        expect(result.error).to.be.an.instanceof(TimeoutError);
+        expect(result.error.status).to.equal(503);
+        expect(result.error.message).to.equal('The report action timed out after 20ms');
+        expect(result.req.receivedSignal.aborted).to.equal(true);
+        expect(result.req.audited).to.equal(undefined);
+      });
+    });
+
+    it('should cancel the rest of the chain when the client disconnects', function() {
+      let req = { context: {} };
+      let res = new EventEmitter();
+      let called = false;
+      let disconnecting = new Klass({ timeout: null, timeouts: null });
+      let chain = disconnecting.action('report', req, res, () => {
+        called = true;
+      });
+      res.emit('close');
+      return chain.then(() => {
+        expect(req.signal.aborted).to.equal(true);
+        expect(called).to.equal(false);
+        expect(res.listeners('close')).to.have.length(0);
+      });
+    });
+
+    it('should not time out actions that finish in time', function() {
+      return dispatch(controller, 'show')
+      .then((result) => {
+        expect(result.status).to.equal(200);
+        expect(result.req.signal.aborted).to.equal(false);
+      });
+    });
+
+  });
+
   describe('action handlers', function() {
 
     describe('error handling', function() {
@@ -120,6 +667,132 @@ describe('foraker', function() {
       });
     });
 
+    describe('per-request instances', function() {
+
+      let Klass = Controller.extend({
+        instancePerRequest: true,
+        filters() {
+          this.before('loadUser');
+        },
+        loadUser(req) {
+          expect(this.currentUser).to.equal(undefined);
+          this.currentUser = req.user;
+          return Promise.resolve();
+        },
+        show(req, res) {
+          res.json({ user: this.currentUser, greeting: this.greet(), context: this.context });
+          return Promise.resolve();
+        },
+        greet() {
+          return `Hello, ${ this.currentUser }`;
+        }
+      });
+
+      function createResponse() {
+        return {
+          headersSent: false,
+          json(body) {
+            this.body = body;
+            this.headersSent = true;
+          }
+        };
+      }
+
+      it('should run each request on a fresh instance of the controller', function() {
+        let controller = new Klass({ greeting: 'Hi' });
+        let first = createResponse();
+        let second = createResponse();
+        return Promise.all([
+          controller.action('show', { user: 'dave', context: { id: 1 } }, first, noop),
+          controller.action('show', { user: 'amy' }, second, noop)
+        ]).then(() => {
+          expect(first.body).to.deep.equal({ user: 'dave', greeting: 'Hello, dave', context: { id: 1 } });
+          expect(second.body.user).to.equal('amy');
+          expect(controller.currentUser).to.equal(undefined);
+        });
+      });
+
+      it('should construct request instances with the same options', function() {
+        let controller = new Klass({ greeting: 'Hi' });
+        let req = {};
+        return controller.action('show', req, createResponse(), noop)
+        .then(() => {
+          expect(req.context).to.not.equal(controller);
+          expect(req.context.greeting).to.equal('Hi');
+          expect(req.context._filters).to.equal(controller._filters);
+        });
+      });
+
+    });
+
+    describe('handler chain cache', function() {
+
+      function respond(req, res) {
+        res.json({});
+        return Promise.resolve();
+      }
+
+      it('should compile each action\'s handler chain once, and reuse it across requests', function() {
+        let compiled = [];
+        let controller = createController({
+          instancePerRequest: true,
+          filters() {
+            this.before('authenticate');
+          },
+          authenticate() {
+            return Promise.resolve();
+          },
+          _compileHandlers(actionName) {
+            compiled.push(actionName);
+            return this._super(actionName);
+          },
+          index: respond,
+          show: respond
+        });
+        return Promise.reduce([ 'index', 'index', 'show', 'index', 'show' ], (results, action) => {
+          return dispatch(controller, action).then((result) => results.concat([ result.filters ]));
+        }, []).then((filters) => {
+          expect(compiled).to.deep.equal([ 'index', 'show' ]);
+          expect(filters).to.deep.equal([ [ 'authenticate' ], [ 'authenticate' ], [ 'authenticate' ], [ 'authenticate' ], [ 'authenticate' ] ]);
+        });
+      });
+
+      it('should still check if / unless conditions on every request', function() {
+        let controller = createController({
+          filters() {
+            this.before('requireAdmin', { if: 'isAdminPath' });
+            this.before('trackVisitor', { unless: (req) => req.headers['x-internal'] === 'yes' });
+          },
+          isAdminPath(req) {
+            return req.path.indexOf('/admin') === 0;
+          },
+          requireAdmin() {
+            return Promise.resolve();
+          },
+          trackVisitor() {
+            return Promise.resolve();
+          },
+          index: respond
+        });
+        return Promise.reduce([
+          { url: '/admin/posts' },
+          { url: '/posts' },
+          { url: '/posts', headers: { 'X-Internal': 'yes' } },
+          { url: '/admin/posts', headers: { 'X-Internal': 'yes' } }
+        ], (results, options) => {
+          return dispatch(controller, 'index', options).then((result) => results.concat([ result.filters ]));
+        }, []).then((filters) => {
+          expect(filters).to.deep.equal([
+            [ 'requireAdmin', 'trackVisitor' ],
+            [ 'trackVisitor' ],
+            [],
+            [ 'requireAdmin' ]
+          ]);
+        });
+      });
+
+    });
+
     describe('completing requests', function() {
 
       it('should allow the action to call next directly', function() {
@@ -168,6 +841,128 @@ describe('foraker', function() {
 
     });
 
+    describe('rescueFrom', function() {
+
+      class NotFoundError extends Error {}
+      class MissingPostError extends NotFoundError {}
+
+      it('should hand matching errors to the rescue handler instead of next(err)', function() {
+        let nextRan = false;
+        let rescuedError;
+        let err = new NotFoundError();
+        let controller = createController({
+          filters() {
+            this.rescueFrom(NotFoundError, 'notFound');
+          },
+          actionThatThrows() {
+            return Promise.reject(err);
+          },
+          notFound(error, req, res) {
+            rescuedError = error;
+            res.json({});
+          }
+        });
+
+        return controller.action('actionThatThrows', request, response, (nextErr) => {
+          nextRan = Boolean(nextErr);
+        }).then(() => {
+          expect(rescuedError).to.equal(err);
+          expect(nextRan).to.equal(false);
+        });
+      });
+
+      it('should pass unmatched errors on to next(err)', function() {
+        let err = new Error();
+        let nextErr;
+        let controller = createController({
+          filters() {
+            this.rescueFrom(NotFoundError, 'notFound');
+          },
+          actionThatThrows() {
+            return Promise.reject(err);
+          },
+          notFound() {
+            throw new Error('should not be rescued');
+          }
+        });
+
+        return controller.action('actionThatThrows', request, response, (e) => {
+          nextErr = e;
+        }).then(() => {
+          expect(nextErr).to.equal(err);
+        });
+      });
+
+      it('should prefer the most specific error class', function() {
+        let handled = [];
+        let controller = createController({
+          filters() {
+            this.rescueFrom(Error, 'anyError');
+            this.rescueFrom(MissingPostError, 'missingPost');
+            this.rescueFrom(NotFoundError, 'notFound');
+          },
+          actionThatThrows() {
+            return Promise.reject(new MissingPostError());
+          },
+          anyError(error, req, res) { handled.push('any'); res.json({}); },
+          notFound(error, req, res) { handled.push('notFound'); res.json({}); },
+          missingPost(error, req, res) { handled.push('missingPost'); res.json({}); }
+        });
+
+        return controller.action('actionThatThrows', request, response, noop)
+        .then(() => {
+          expect(handled).to.deep.equal([ 'missingPost' ]);
+        });
+      });
+
+      it('should prefer handlers added by the most derived controller', function() {
+        let handled = [];
+        let ParentController = Controller.extend({
+          filters() {
+            this.rescueFrom(MissingPostError, 'missingPost');
+          },
+          missingPost(error, req, res) { handled.push('parent'); res.json({}); }
+        });
+        let ChildController = ParentController.extend({
+          filters() {
+            this.rescueFrom(NotFoundError, 'notFound');
+          },
+          actionThatThrows() {
+            return Promise.reject(new MissingPostError());
+          },
+          notFound(error, req, res) { handled.push('child'); res.json({}); }
+        });
+
+        return new ChildController().action('actionThatThrows', request, response, noop)
+        .then(() => {
+          expect(handled).to.deep.equal([ 'child' ]);
+        });
+      });
+
+      it('should pass errors thrown by the rescue handler on to next(err)', function() {
+        let rescueErr = new Error();
+        let nextErr;
+        let controller = createController({
+          filters() {
+            this.rescueFrom(NotFoundError, 'notFound');
+          },
+          actionThatThrows() {
+            return Promise.reject(new NotFoundError());
+          },
+          notFound() {
+            return Promise.reject(rescueErr);
+          }
+        });
+
+        return controller.action('actionThatThrows', request, response, (e) => {
+          nextErr = e;
+        }).then(() => {
+          expect(nextErr).to.equal(rescueErr);
+        });
+      });
+
+    });
+
     describe('filters', function() {
 
       it('should support before & after filters', function() {
@@ -368,6 +1163,467 @@ describe('foraker', function() {
         });
       });
 
+      it('should support passing filter functions directly', function() {
+        let filterRan = false;
+        function functionFilter(req, res) {
+          expect(res).to.equal(response);
+          filterRan = true;
+          return Promise.resolve();
+        }
+        let controller = createController({
+          filters() {
+            this.before(functionFilter);
+          },
+          actionWithFilter(req, res) {
+            res.json({});
+            return Promise.resolve();
+          }
+        });
+
+        return controller.action('actionWithFilter', request, response, noop)
+        .then(() => {
+          expect(filterRan).to.equal(true);
+        });
+      });
+
+      it('should skip function filters by reference across the prototype chain', function() {
+        let filterRan = false;
+        function functionFilter() {
+          filterRan = true;
+          return Promise.resolve();
+        }
+        let ParentController = Controller.extend({
+          filters() {
+            this.before(functionFilter);
+          }
+        });
+        let ChildController = ParentController.extend({
+          filters() {
+            this.skipBefore(functionFilter, { only: 'actionWithoutFilter' });
+          },
+          actionWithoutFilter(req, res) {
+            res.json({});
+            return Promise.resolve();
+          }
+        });
+        let controller = new ChildController();
+
+        return controller.action('actionWithoutFilter', request, response, noop)
+        .then(() => {
+          expect(filterRan).to.equal(false);
+        });
+      });
+
+      it('should throw when skipping a function filter that was never added', function() {
+        let Klass = Controller.extend({
+          filters() {
+            this.before(function otherFilter() {});
+            this.skipBefore(function missingFilter() {});
+          }
+        });
+        expect(() => new Klass()).to.throw(/skip the missingFilter before filter/);
+      });
+
+      describe('filter ordering', function() {
+
+        function orderingController(filters) {
+          let filtersRun = [];
+          let ParentController = Controller.extend({
+            filters() {
+              this.before('authenticate');
+              this.before('loadUser');
+            }
+          });
+          let record = (name) => function() {
+            filtersRun.push(name);
+            return Promise.resolve();
+          };
+          let ChildController = ParentController.extend({
+            filters,
+            authenticate: record('authenticate'),
+            loadUser: record('loadUser'),
+            tagRequest: record('tagRequest'),
+            rateLimit: record('rateLimit'),
+            actionWithFilters(req, res) {
+              res.json({});
+              return Promise.resolve();
+            }
+          });
+          return { controller: new ChildController(), filtersRun };
+        }
+
+        it('should support prepending a filter ahead of inherited filters', function() {
+          let { controller, filtersRun } = orderingController(function() {
+            this.prependBefore('tagRequest');
+          });
+          return controller.action('actionWithFilters', request, response, noop)
+          .then(() => {
+            expect(filtersRun).to.deep.equal([ 'tagRequest', 'authenticate', 'loadUser' ]);
+          });
+        });
+
+        it('should support inserting a filter before or after a named filter', function() {
+          let { controller, filtersRun } = orderingController(function() {
+            this.before('rateLimit', { before: 'authenticate' });
+            this.before('tagRequest', { after: 'authenticate' });
+          });
+          return controller.action('actionWithFilters', request, response, noop)
+          .then(() => {
+            expect(filtersRun).to.deep.equal([ 'rateLimit', 'authenticate', 'tagRequest', 'loadUser' ]);
+          });
+        });
+
+        it('should throw when positioning a filter relative to a missing filter', function() {
+          expect(() => {
+            orderingController(function() {
+              this.before('rateLimit', { before: 'missingFilter' });
+            });
+          }).to.throw(/add the rateLimit before filter before the missingFilter before filter, but it is not present/);
+        });
+
+      });
+
+      describe('conditional filters', function() {
+
+        it('should only run a filter if its "if" condition is met', function() {
+          let filterRan = false;
+          let controller = createController({
+            filters() {
+              this.before('beforeFilter', { if: 'isPost' });
+            },
+            isPost(req) {
+              return req.method === 'POST';
+            },
+            beforeFilter() {
+              filterRan = true;
+              return Promise.resolve();
+            },
+            actionWithFilter(req, res) {
+              res.json({});
+              return Promise.resolve();
+            }
+          });
+
+          return controller.action('actionWithFilter', { context: {}, method: 'GET' }, response, noop)
+          .then(() => {
+            expect(filterRan).to.equal(false);
+            return controller.action('actionWithFilter', { context: {}, method: 'POST' }, response, noop);
+          }).then(() => {
+            expect(filterRan).to.equal(true);
+          });
+        });
+
+        it('should skip a filter if its "unless" condition resolves truthy', function() {
+          let filterRan = false;
+          let controller = createController({
+            filters() {
+              this.before('beforeFilter', { unless: (req) => Promise.resolve(req.headers['x-tenant'] === undefined) });
+            },
+            beforeFilter() {
+              filterRan = true;
+              return Promise.resolve();
+            },
+            actionWithFilter(req, res) {
+              res.json({});
+              return Promise.resolve();
+            }
+          });
+
+          return controller.action('actionWithFilter', { context: {}, headers: {} }, response, noop)
+          .then(() => {
+            expect(filterRan).to.equal(false);
+            return controller.action('actionWithFilter', { context: {}, headers: { 'x-tenant': 'acme' } }, response, noop);
+          }).then(() => {
+            expect(filterRan).to.equal(true);
+          });
+        });
+
+        it('should reject conditions that are not method names or functions', function() {
+          let Klass = Controller.extend({
+            filters() {
+              this.before('beforeFilter', { if: true });
+            }
+          });
+          expect(() => new Klass()).to.throw(/'if' option of the beforeFilter filter/);
+        });
+
+      });
+
+      describe('after filters', function() {
+
+        it('should run after the action has sent the response, and receive its result', function() {
+          let afterOutcome;
+          let controller = createController({
+            filters() {
+              this.after('afterFilter');
+            },
+            actionThatResponds(req, res) {
+              res.json({});
+              return Promise.resolve('result');
+            },
+            afterFilter(req, res, next, outcome) {
+              afterOutcome = outcome;
+              return Promise.resolve();
+            }
+          });
+
+          return controller.action('actionThatResponds', request, response, noop)
+          .then(() => {
+            expect(afterOutcome).to.deep.equal({ value: 'result' });
+          });
+        });
+
+        it('should run after the action errors, and receive the error', function() {
+          let err = new Error();
+          let afterOutcome;
+          let nextErr;
+          let controller = createController({
+            filters() {
+              this.after('afterFilter');
+            },
+            actionThatRejects() {
+              return Promise.reject(err);
+            },
+            afterFilter(req, res, next, outcome) {
+              afterOutcome = outcome;
+              return Promise.resolve();
+            }
+          });
+
+          return controller.action('actionThatRejects', request, response, (e) => {
+            nextErr = e;
+          }).then(() => {
+            expect(afterOutcome).to.deep.equal({ error: err });
+            expect(nextErr).to.equal(err);
+          });
+        });
+
+        it('should not call next(err) if an after filter fails once the response was sent', function() {
+          let err = new Error();
+          let nextRan = false;
+          let lateError;
+          let controller = createController({
+            filters() {
+              this.after('afterFilter');
+            },
+            actionThatResponds(req, res) {
+              res.json({});
+              return Promise.resolve();
+            },
+            afterFilter() {
+              return Promise.reject(err);
+            },
+            errorAfterResponse(e) {
+              lateError = e;
+            }
+          });
+
+          return controller.action('actionThatResponds', request, response, () => {
+            nextRan = true;
+          }).then(() => {
+            expect(nextRan).to.equal(false);
+            expect(lateError).to.equal(err);
+          });
+        });
+
+        it('should treat next() from an after filter as continuing, not handing off the request', function() {
+          let ran = [];
+          let controller = createController({
+            filters() {
+              this.after('audit');
+              this.after('record');
+            },
+            show(req, res) {
+              res.json({});
+              return Promise.resolve();
+            },
+            audit(req, res, next) {
+              ran.push('audit');
+              setTimeout(() => next(), 1);
+            },
+            record(req, res, next) {
+              ran.push('record');
+              next();
+            }
+          });
+
+          return dispatch(controller, 'show')
+          .then((result) => {
+            expect(ran).to.deep.equal([ 'audit', 'record' ]);
+            expect(result.nextCalled).to.equal(false);
+            expect(result.status).to.equal(200);
+          });
+        });
+
+        it('should treat next(err) from an after filter as a failure', function() {
+          let err = new Error();
+          let lateError;
+          let controller = createController({
+            filters() {
+              this.after('audit');
+            },
+            show(req, res) {
+              res.json({});
+              return Promise.resolve();
+            },
+            audit(req, res, next) {
+              next(err);
+            },
+            errorAfterResponse(e) {
+              lateError = e;
+            }
+          });
+
+          return dispatch(controller, 'show')
+          .then((result) => {
+            expect(result.nextCalled).to.equal(false);
+            expect(lateError).to.equal(err);
+          });
+        });
+
+      });
+
+      describe('around filters', function() {
+
+        it('should wrap the remaining before filters, the action, and after filters', function() {
+          let executionSequence = [];
+          let controller = createController({
+            filters() {
+              this.before('beforeFilter');
+              this.around('aroundFilter');
+              this.before('laterBeforeFilter');
+              this.after('afterFilter');
+            },
+            beforeFilter() {
+              executionSequence.push('before');
+              return Promise.resolve();
+            },
+            aroundFilter(req, res, proceed) {
+              executionSequence.push('around-start');
+              return proceed().then(() => {
+                executionSequence.push('around-end');
+              });
+            },
+            laterBeforeFilter() {
+              executionSequence.push('later-before');
+              return Promise.resolve();
+            },
+            afterFilter() {
+              executionSequence.push('after');
+              return Promise.resolve();
+            },
+            actionWithAroundFilter() {
+              executionSequence.push('action');
+              return Promise.resolve();
+            }
+          });
+
+          return controller.action('actionWithAroundFilter', request, response, noop)
+          .then(() => {
+            expect(executionSequence).to.deep.equal([ 'before', 'around-start', 'later-before', 'action', 'after', 'around-end' ]);
+          });
+        });
+
+        it('should resolve proceed() when the action sends a response', function() {
+          let aroundFinished = false;
+          let controller = createController({
+            filters() {
+              this.around('aroundFilter');
+            },
+            aroundFilter(req, res, proceed) {
+              return proceed().then(() => {
+                aroundFinished = true;
+              });
+            },
+            actionThatResponds(req, res) {
+              res.json({});
+              return Promise.resolve();
+            }
+          });
+
+          return controller.action('actionThatResponds', request, response, noop)
+          .then(() => {
+            expect(aroundFinished).to.equal(true);
+            expect(response.headersSent).to.equal(true);
+          });
+        });
+
+        it('should reject proceed() when the action errors', function() {
+          let err = new Error();
+          let seenError;
+          let controller = createController({
+            filters() {
+              this.around('aroundFilter');
+            },
+            aroundFilter(req, res, proceed) {
+              return proceed().catch((e) => {
+                seenError = e;
+                throw e;
+              });
+            },
+            actionThatRejects() {
+              return Promise.reject(err);
+            }
+          });
+
+          return controller.action('actionThatRejects', request, response, (nextErr) => {
+            expect(nextErr).to.equal(err);
+          }).then(() => {
+            expect(seenError).to.equal(err);
+          });
+        });
+
+        it('should not run the action if the around filter never proceeds', function() {
+          let actionRan = false;
+          let controller = createController({
+            filters() {
+              this.around('aroundFilter');
+            },
+            aroundFilter(req, res) {
+              res.json({});
+              return Promise.resolve();
+            },
+            actionWithAroundFilter() {
+              actionRan = true;
+              return Promise.resolve();
+            }
+          });
+
+          return controller.action('actionWithAroundFilter', request, response, noop)
+          .then(() => {
+            expect(actionRan).to.equal(false);
+          });
+        });
+
+        it('should support skipping inherited around filters', function() {
+          let aroundRan = false;
+          let ParentController = Controller.extend({
+            filters() {
+              this.around('aroundFilter');
+            },
+            aroundFilter(req, res, proceed) {
+              aroundRan = true;
+              return proceed();
+            }
+          });
+          let ChildController = ParentController.extend({
+            filters() {
+              this.skipAround('aroundFilter', { only: 'actionWithoutFilter' });
+            },
+            actionWithoutFilter(req, res) {
+              res.json({});
+              return Promise.resolve();
+            }
+          });
+
+          return new ChildController().action('actionWithoutFilter', request, response, noop)
+          .then(() => {
+            expect(aroundRan).to.equal(false);
+          });
+        });
+
+      });
+
     });
 
   });
@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { dispatch } from '../lib/testing';
+
+describe('instrumentation', function() {
+
+  let events;
+  let unsubscribe;
+
+  beforeEach(function() {
+    events = [];
+    unsubscribe = Controller.instrument((event) => events.push(event));
+  });
+
+  afterEach(function() {
+    unsubscribe();
+  });
+
+  let PostsController = Controller.extend({
+    controllerName: 'posts',
+    filters() {
+      this.before('authenticate');
+      this.around('transaction');
+      this.after('audit');
+    },
+    authenticate(req, res) {
+      if (req.query.anonymous) {
+        res.status(401).end();
+      }
+      return Promise.resolve();
+    },
+    transaction(req, res, proceed) {
+      return proceed();
+    },
+    audit() {
+      return Promise.resolve();
+    },
+    show(req, res) {
+      res.json({ id: 1 });
+      return Promise.resolve();
+    },
+    destroy() {
+      return Promise.reject(new Error('Boom'));
+    }
+  });
+  let controller = new PostsController();
+
+  function summarize() {
+    return events.map(({ type, filter, outcome }) => [ type, filter, outcome ].filter(Boolean).join(' '));
+  }
+
+  it('should emit start and end events for the chain, filters, and action', function() {
+    return dispatch(controller, 'show')
+    .then(({ req }) => {
+      expect(summarize()).to.deep.equal([
+        'chain:start',
+        'filter:start authenticate',
+        'filter:end authenticate completed',
+        'filter:start transaction',
+        'action:start',
+        'action:end completed',
+        'filter:start audit',
+        'filter:end audit completed',
+        'filter:end transaction completed',
+        'chain:end completed'
+      ]);
+      events.forEach((event) => {
+        expect(event).to.include({ controller: 'posts', action: 'show', req });
+      });
+      expect(events[2].stage).to.equal('before');
+      expect(events[2].duration).to.be.a('number');
+      expect(events[4]).to.include({ stage: 'action', filter: null });
+    });
+  });
+
+  it('should report filters that halt the chain', function() {
+    return dispatch(controller, 'show', { url: '/posts/1?anonymous=true' })
+    .then(() => {
+      expect(summarize()).to.deep.equal([
+        'chain:start',
+        'filter:start authenticate',
+        'filter:end authenticate halted',
+        'chain:end completed'
+      ]);
+    });
+  });
+
+  it('should emit error events', function() {
+    return dispatch(controller, 'destroy')
+    .then(() => {
+      let types = summarize();
+      expect(types).to.include('action:end error');
+      expect(types.slice(-2)).to.deep.equal([ 'error', 'chain:end error' ]);
+      expect(events[events.length - 1].error.message).to.equal('Boom');
+    });
+  });
+
+  it('should not let subscriber errors break requests', function() {
+    let stopThrowing = Controller.instrument(() => {
+      throw new Error('Broken subscriber');
+    });
+    let log = console.error;
+    console.error = () => {};
+    return dispatch(controller, 'show')
+    .finally(() => {
+      console.error = log;
+      stopThrowing();
+    }).then((result) => {
+      expect(result.status).to.equal(200);
+    });
+  });
+
+  it('should default the controller name to the name of its class', function() {
+    class CommentsController extends Controller {
+      show(req, res) {
+        res.json({});
+        return Promise.resolve();
+      }
+    }
+    let Anonymous = Controller.extend({
+      show: CommentsController.prototype.show
+    });
+    return dispatch(new CommentsController(), 'show')
+    .then(() => {
+      expect(events[0].controller).to.equal('CommentsController');
+      events = [];
+      return dispatch(new Anonymous(), 'show');
+    }).then(() => {
+      expect(events[0].controller).to.equal(null);
+    });
+  });
+
+  it('should stop sending events once unsubscribed', function() {
+    unsubscribe();
+    return dispatch(controller, 'show')
+    .then(() => {
+      expect(events).to.deep.equal([]);
+    });
+  });
+
+});
@@ -0,0 +1,167 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { dispatch } from '../lib/testing';
+import { encodeCursor, decodeCursor } from '../lib/pagination';
+import { InvalidCursorError } from '../lib/errors';
+
+const POSTS = [];
+for (let id = 1; id <= 45; id += 1) {
+  POSTS.push({ id, title: `Post ${ id }` });
+}
+
+// What a page renders as when sent with res.json()
+function rendered(result) {
+  return JSON.parse(JSON.stringify(result.body));
+}
+
+describe('pagination', function() {
+
+  let requests;
+  let PostsController = Controller.extend({
+    index(req, res) {
+      return req.controller.paginate(req, res, ({ offset, limit }) => {
+        return Promise.resolve({ items: POSTS.slice(offset, offset + limit), total: POSTS.length });
+      }, { perPage: 20, maxPerPage: 30 }).then((page) => {
+        req.page = page;
+        res.json(page);
+      });
+    },
+    feed(req, res) {
+      return req.controller.paginate(req, res, (request) => {
+        requests.push(request);
+        let start = request.after === null ? 0 : request.after;
+        return POSTS.slice(start, start + request.limit);
+      }, { mode: 'cursor', perPage: 20 }).then((page) => {
+        req.page = page;
+        res.json(page);
+      });
+    }
+  });
+  let posts = new PostsController();
+
+  beforeEach(function() {
+    requests = [];
+  });
+
+  describe('offset mode', function() {
+
+    it('should return the first page, with links to the next and last pages', function() {
+      return dispatch(posts, 'index', { url: '/posts?sort=title' })
+      .then((result) => {
+        expect(rendered(result).map((post) => post.id)).to.deep.equal(POSTS.slice(0, 20).map((post) => post.id));
+        expect(result.headers['x-total-count']).to.equal('45');
+        expect(result.headers.link).to.equal([
+          '</posts?sort=title>; rel="first"',
+          '</posts?sort=title&page=2>; rel="next"',
+          '</posts?sort=title&page=3>; rel="last"'
+        ].join(', '));
+        expect(result.req.page).to.include({ page: 1, perPage: 20, total: 45, pages: 3 });
+      });
+    });
+
+    it('should read the page and per_page from the query string', function() {
+      return dispatch(posts, 'index', { url: '/posts?page=2&per_page=10' })
+      .then((result) => {
+        expect(rendered(result)[0].id).to.equal(11);
+        expect(rendered(result)).to.have.length(10);
+        expect(result.req.page.links).to.deep.equal({
+          first: '/posts?per_page=10',
+          prev: '/posts?per_page=10',
+          next: '/posts?page=3&per_page=10',
+          last: '/posts?page=5&per_page=10'
+        });
+      });
+    });
+
+    it('should leave out the next link on the last page', function() {
+      return dispatch(posts, 'index', { url: '/posts?page=3' })
+      .then((result) => {
+        expect(rendered(result).map((post) => post.id)).to.deep.equal([ 41, 42, 43, 44, 45 ]);
+        expect(result.req.page.links).to.have.keys([ 'first', 'prev', 'last' ]);
+      });
+    });
+
+    it('should cap per_page at maxPerPage and ignore invalid values', function() {
+      return Promise.all([
+        dispatch(posts, 'index', { url: '/posts?per_page=1000' }),
+        dispatch(posts, 'index', { url: '/posts?per_page=abc&page=-1' })
+      ]).spread((capped, invalid) => {
+        expect(rendered(capped)).to.have.length(30);
+        expect(invalid.req.page).to.include({ page: 1, perPage: 20 });
+      });
+    });
+
+    it('should support query functions that return a plain array', function() {
+      let ArchiveController = Controller.extend({
+        index(req, res) {
+          return req.controller.paginate(req, res, ({ offset, limit }) => POSTS.slice(offset, offset + limit))
+          .then((page) => res.json(page));
+        }
+      });
+      return dispatch(new ArchiveController(), 'index', { url: '/archive?page=2' })
+      .then((result) => {
+        expect(rendered(result)[0].id).to.equal(26);
+        expect(result.headers['x-total-count']).to.equal(undefined);
+        expect(result.headers.link).to.equal('</archive>; rel="first", </archive>; rel="prev"');
+      });
+    });
+
+  });
+
+  describe('cursor mode', function() {
+
+    it('should follow opaque cursors from page to page', function() {
+      return dispatch(posts, 'feed', { url: '/feed' })
+      .then((first) => {
+        expect(rendered(first)).to.have.length(20);
+        expect(requests[0]).to.deep.equal({ perPage: 20, limit: 21, cursor: null, after: null });
+        let next = first.req.page.links.next;
+        expect(next).to.equal(`/feed?cursor=${ encodeCursor(20) }`);
+        return dispatch(posts, 'feed', { url: next });
+      }).then((second) => {
+        expect(rendered(second)[0].id).to.equal(21);
+        expect(requests[1].after).to.equal(20);
+        return dispatch(posts, 'feed', { url: second.req.page.links.next });
+      }).then((last) => {
+        expect(rendered(last).map((post) => post.id)).to.deep.equal([ 41, 42, 43, 44, 45 ]);
+        expect(last.req.page.nextCursor).to.equal(null);
+        expect(last.headers.link).to.equal('</feed>; rel="first"');
+      });
+    });
+
+    it('should reject cursors it didn\'t generate', function() {
+      return dispatch(posts, 'feed', { url: '/feed?cursor=not%20a%20cursor' })
+      .then((result) => {
+        expect(result.error).to.be.an.instanceof(InvalidCursorError);
+        expect(result.error.status).to.equal(400);
+      });
+    });
+
+    it('should round trip any JSON value', function() {
+      let value = [ '2015-06-01T00:00:00.000Z', 42 ];
+      expect(decodeCursor(encodeCursor(value))).to.deep.equal(value);
+      expect(encodeCursor(value)).to.match(/^[A-Za-z0-9_-]+$/);
+    });
+
+  });
+
+  it('should render through respondTo', function() {
+    let FeedController = Controller.extend({
+      index(req, res) {
+        return req.controller.paginate(req, res, () => ({ items: POSTS.slice(0, 3), total: 3 }))
+        .then((page) => {
+          return req.controller.respondTo(req, res, {
+            json() { res.json(page); }
+          });
+        });
+      }
+    });
+    return dispatch(new FeedController(), 'index', { url: '/feed', headers: { Accept: 'application/json' } })
+    .then((result) => {
+      expect(rendered(result)).to.deep.equal(POSTS.slice(0, 3));
+      expect(result.headers.link).to.equal('</feed>; rel="first", </feed>; rel="last"');
+    });
+  });
+
+});
@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import Parameters from '../lib/parameters';
+import { ParameterMissingError } from '../lib/errors';
+
+describe('parameters', function() {
+
+  let params = new Parameters({
+    post: {
+      title: 'Hello',
+      body: 'World',
+      admin: true,
+      tags: [ 'a', 'b' ],
+      author: { name: 'Dave', role: 'admin' },
+      comments: [ { text: 'Nice', spam: true } ],
+      sneaky: { $gt: '' }
+    }
+  });
+
+  it('drops keys that are not permitted', function() {
+    expect(params.require('post').permit('title', 'body')).to.deep.equal({ title: 'Hello', body: 'World' });
+  });
+
+  it('only permits scalars for keys listed by name', function() {
+    expect(params.require('post').permit('title', 'tags', 'sneaky')).to.deep.equal({ title: 'Hello' });
+  });
+
+  it('permits arrays of scalars and nested objects when asked', function() {
+    expect(params.require('post').permit({ tags: [], author: [ 'name' ], comments: [ 'text' ] })).to.deep.equal({
+      tags: [ 'a', 'b' ],
+      author: { name: 'Dave' },
+      comments: [ { text: 'Nice' } ]
+    });
+  });
+
+  it('filters objects that shadow hasOwnProperty or have no prototype', function() {
+    let shadowed = new Parameters({ post: { hasOwnProperty: 1, title: 'x' } });
+    expect(shadowed.require('post').permit('title')).to.deep.equal({ title: 'x' });
+    let bare = Object.create(null);
+    bare.title = 'x';
+    bare.admin = true;
+    expect(new Parameters({ post: bare }).require('post').permit('title', { admin: [] })).to.deep.equal({ title: 'x' });
+  });
+
+  it('throws a ParameterMissingError with a 400 status for missing required keys', function() {
+    let missing = [ undefined, null, '', {} ].map((value) => {
+      try {
+        new Parameters({ post: value }).require('post');
+      } catch (err) {
+        return err;
+      }
+    });
+    missing.forEach((err) => {
+      expect(err).to.be.an.instanceof(ParameterMissingError);
+      expect(err.status).to.equal(400);
+      expect(err.param).to.equal('post');
+    });
+  });
+
+  describe('controller.params()', function() {
+
+    let ParentController = Controller.extend({
+      permittedParams: {
+        create: [ 'title' ]
+      }
+    });
+    let ChildController = ParentController.extend({
+      permittedParams: {
+        create: [ 'body' ]
+      },
+      create(req, res) {
+        res.json(req.controller.params(req).require('post').permit());
+        return Promise.resolve();
+      }
+    });
+
+    it('merges the route params, query and body', function() {
+      let req = { params: { id: '1' }, query: { page: '2', id: 'nope' }, body: { title: 'Hi' } };
+      let merged = new ChildController().params(req).permit('id', 'page', 'title');
+      expect(merged).to.deep.equal({ id: '1', page: '2', title: 'Hi' });
+    });
+
+    it('uses the permit list declared for the action, including inherited ones', function() {
+      let rendered;
+      let req = { context: {}, body: { post: { title: 'Hi', body: 'There', admin: true } } };
+      let res = { json(body) { rendered = body; this.headersSent = true; } };
+      return new ChildController().action('create', req, res, () => {})
+      .then(() => {
+        expect(rendered).to.deep.equal({ title: 'Hi', body: 'There' });
+      });
+    });
+
+  });
+
+});
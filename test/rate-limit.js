@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { SlidingWindowStore } from '../lib/rate-limit';
+import { dispatch } from '../lib/testing';
+
+describe('rate limiting', function() {
+
+  function respond(req, res) {
+    res.json({ ok: true });
+    return Promise.resolve();
+  }
+
+  let ApplicationController = Controller.extend({
+    filters() {
+      this.rateLimit({ max: 2, windowMs: 60000, key: (req) => req.headers['x-client'] });
+      this.before('authenticate');
+    },
+    authenticate() {
+      return Promise.resolve();
+    }
+  });
+
+  function request(controller, action, client) {
+    return dispatch(controller, action, { headers: { 'X-Client': client } });
+  }
+
+  // Dispatch one request per client, one after the other
+  function requestInTurn(controller, action, clients) {
+    return Promise.reduce(clients, (results, client) => {
+      return request(controller, action, client).then((result) => results.concat([ result ]));
+    }, []);
+  }
+
+  it('should respond with a 429 once a client is over the limit', function() {
+    let Klass = ApplicationController.extend({ index: respond });
+    let controller = new Klass();
+    return requestInTurn(controller, 'index', [ 'a', 'a', 'a', 'b' ])
+    .then(([ first, second, third, otherClient ]) => {
+      expect(first.status).to.equal(200);
+      expect(first.headers['x-ratelimit-limit']).to.equal('2');
+      expect(first.headers['x-ratelimit-remaining']).to.equal('1');
+      expect(Number(first.headers['x-ratelimit-reset'])).to.be.above(Date.now() / 1000);
+      expect(second.headers['x-ratelimit-remaining']).to.equal('0');
+      expect(third.status).to.equal(429);
+      expect(third.headers['retry-after']).to.match(/^\d+$/);
+      expect(third.filters).to.deep.equal([ 'rateLimit' ]);
+      expect(otherClient.status).to.equal(200);
+    });
+  });
+
+  it('should let subclasses skip inherited limits', function() {
+    let Klass = ApplicationController.extend({
+      filters() {
+        this.skipBefore('rateLimit', { only: 'health' });
+      },
+      index: respond,
+      health: respond
+    });
+    let controller = new Klass();
+    return requestInTurn(controller, 'health', [ 'a', 'a', 'a' ])
+    .then((results) => {
+      expect(results.map(({ status }) => status)).to.deep.equal([ 200, 200, 200 ]);
+      expect(results[0].headers).to.not.have.property('x-ratelimit-limit');
+      expect(controller.describe()[0].filters[0]).to.include({ name: 'rateLimit', excludedBy: null });
+    });
+  });
+
+  it('should let subclasses override inherited limits in place', function() {
+    let Klass = ApplicationController.extend({
+      filters() {
+        this.rateLimit({ max: 5 });
+      },
+      index: respond
+    });
+    let controller = new Klass();
+    return request(controller, 'index', 'a')
+    .then((result) => {
+      expect(result.headers['x-ratelimit-limit']).to.equal('5');
+      expect(result.filters).to.deep.equal([ 'rateLimit', 'authenticate' ]);
+    });
+  });
+
+  it('should share the default store between subclasses of the declaring controller', function() {
+    let PostsController = ApplicationController.extend({ index: respond });
+    let CommentsController = ApplicationController.extend({ index: respond });
+    let posts = new PostsController();
+    let comments = new CommentsController();
+    return request(posts, 'index', 'shared')
+    .then(() => request(comments, 'index', 'shared'))
+    .then(() => request(posts, 'index', 'shared'))
+    .then((result) => {
+      expect(result.status).to.equal(429);
+    });
+  });
+
+  describe('SlidingWindowStore', function() {
+
+    it('should weight the previous window by how much it overlaps', function() {
+      let store = new SlidingWindowStore();
+      let now = Date.now;
+      try {
+        Date.now = () => 10000;
+        store.hit('a', 1000);
+        store.hit('a', 1000);
+        store.hit('a', 1000);
+        store.hit('a', 1000);
+        Date.now = () => 11250;
+        expect(store.hit('a', 1000)).to.deep.equal({ count: 4, resetMs: 750 });
+        Date.now = () => 13000;
+        expect(store.hit('a', 1000)).to.deep.equal({ count: 1, resetMs: 1000 });
+      } finally {
+        Date.now = now;
+      }
+    });
+
+  });
+
+});
@@ -0,0 +1,241 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { MemoryStore } from '../lib/response-cache';
+import { dispatch } from '../lib/testing';
+
+describe('response caching', function() {
+
+  describe('MemoryStore', function() {
+
+    it('should evict the least recently used entry when full', function() {
+      let store = new MemoryStore({ maxEntries: 2 });
+      store.set('a', 1);
+      store.set('b', 2);
+      store.get('a');
+      store.set('c', 3);
+      expect(store.get('a')).to.equal(1);
+      expect(store.get('b')).to.equal(undefined);
+      expect(store.get('c')).to.equal(3);
+      expect(store.size).to.equal(2);
+    });
+
+    it('should expire entries after their ttl', function() {
+      let store = new MemoryStore();
+      store.set('fresh', 1, 60000);
+      store.set('expired', 2, 1);
+      store._entries.expired.expires = Date.now() - 1;
+      expect(store.get('fresh')).to.equal(1);
+      expect(store.get('expired')).to.equal(undefined);
+      expect(store.size).to.equal(1);
+    });
+
+  });
+
+  describe('caches', function() {
+
+    function createController(store) {
+      let renders = 0;
+      let Klass = Controller.extend({
+        filters() {
+          this.before('authenticate');
+          this.caches([ 'index', 'show' ], {
+            store,
+            key: (req) => `posts:${ req.query.page || 1 }:${ req.params.id }`
+          });
+        },
+        authenticate(req) {
+          req.authenticated = true;
+          return Promise.resolve();
+        },
+        index(req, res) {
+          renders += 1;
+          res.setHeader('Set-Cookie', 'session=abc');
+          res.json({ page: req.query.page, renders });
+          return Promise.resolve();
+        },
+        show(req, res) {
+          renders += 1;
+          res.status(404).json({ error: 'Not found' });
+          return Promise.resolve();
+        }
+      });
+      return new Klass();
+    }
+
+    it('should serve cached responses without running the action', function() {
+      let controller = createController(new MemoryStore());
+      return dispatch(controller, 'index', { url: '/posts?page=2' })
+      .then((first) => {
+        expect(first.body).to.deep.equal({ page: '2', renders: 1 });
+        expect(first.filters).to.deep.equal([ 'authenticate', 'cacheLookup', 'cacheStore' ]);
+        return dispatch(controller, 'index', { url: '/posts?page=2' });
+      }).then((second) => {
+        expect(second.status).to.equal(200);
+        expect(second.body).to.deep.equal({ page: '2', renders: 1 });
+        expect(second.headers['content-type']).to.equal('application/json');
+        expect(second.headers).to.not.have.property('set-cookie');
+        expect(second.filters).to.deep.equal([ 'authenticate', 'cacheLookup' ]);
+        expect(second.req.authenticated).to.equal(true);
+        return dispatch(controller, 'index', { url: '/posts?page=3' });
+      }).then((third) => {
+        expect(third.body).to.deep.equal({ page: '3', renders: 2 });
+      });
+    });
+
+    it('should only cache successful GET responses', function() {
+      let store = new MemoryStore();
+      let controller = createController(store);
+      return Promise.all([
+        dispatch(controller, 'show', { params: { id: '1' } }),
+        dispatch(controller, 'index', { method: 'POST' }),
+        dispatch(controller, 'index', { method: 'HEAD' })
+      ]).then(() => {
+        expect(store.size).to.equal(0);
+      });
+    });
+
+    it('should cache each negotiated format separately by default', function() {
+      let renders = 0;
+      let Klass = Controller.extend({
+        filters() {
+          this.caches('index');
+        },
+        index(req, res) {
+          renders += 1;
+          return req.controller.respondTo(req, res, {
+            json() { res.json({ renders }); },
+            csv() {
+              res.setHeader('content-type', 'text/csv');
+              res.end(`renders\n${ renders }`);
+            }
+          });
+        }
+      });
+      let controller = new Klass();
+      let csv = { headers: { Accept: 'text/csv' } };
+      let json = { headers: { Accept: 'application/json' } };
+      return dispatch(controller, 'index', csv)
+      .then(() => dispatch(controller, 'index', json))
+      .then((result) => {
+        expect(result.headers['content-type']).to.equal('application/json');
+        expect(result.body).to.deep.equal({ renders: 2 });
+        return dispatch(controller, 'index', csv);
+      }).then((result) => {
+        expect(result.body).to.equal('renders\n1');
+      });
+    });
+
+    it('should not store responses that vary on other request headers', function() {
+      let store = new MemoryStore();
+      let Klass = Controller.extend({
+        filters() {
+          this.caches('index', { store });
+        },
+        index(req, res) {
+          res.setHeader('Vary', 'Accept, Cookie');
+          res.json({});
+          return Promise.resolve();
+        }
+      });
+      return dispatch(new Klass(), 'index')
+      .then(() => {
+        expect(store.size).to.equal(0);
+      });
+    });
+
+    it('should not replay headers set before the cache lookup', function() {
+      let requests = 0;
+      let Klass = Controller.extend({
+        filters() {
+          this.rateLimit({ max: 5, windowMs: 60000 });
+          this.before('requestId');
+          this.caches('index');
+        },
+        requestId(req, res) {
+          requests += 1;
+          res.setHeader('X-Request-Id', String(requests));
+          return Promise.resolve();
+        },
+        index(req, res) {
+          res.setHeader('X-Rendered-By', 'index');
+          res.json({});
+          return Promise.resolve();
+        }
+      });
+      let controller = new Klass();
+      return dispatch(controller, 'index')
+      .then(() => dispatch(controller, 'index'))
+      .then((result) => {
+        expect(result.filters).to.deep.equal([ 'rateLimit', 'requestId', 'cacheLookup' ]);
+        expect(result.headers['x-request-id']).to.equal('2');
+        expect(result.headers['x-ratelimit-remaining']).to.equal('3');
+        expect(result.headers['x-rendered-by']).to.equal('index');
+      });
+    });
+
+    it('should let subclasses skip and position the cache filters by name', function() {
+      let store = new MemoryStore();
+      let Base = Controller.extend({
+        filters() {
+          this.before('authenticate');
+          this.caches([ 'index', 'show' ], { store });
+        },
+        authenticate() {
+          return Promise.resolve();
+        }
+      });
+      let Klass = Base.extend({
+        filters() {
+          this.before('loadSession', { before: 'cacheLookup' });
+          this.skipBefore('cacheLookup', { only: 'index' });
+          this.skipAfter('cacheStore', { only: 'index' });
+        },
+        loadSession() {
+          return Promise.resolve();
+        },
+        index(req, res) {
+          res.json({});
+          return Promise.resolve();
+        },
+        show(req, res) {
+          res.json({});
+          return Promise.resolve();
+        }
+      });
+      let controller = new Klass();
+      return dispatch(controller, 'show', { params: { id: '1' } })
+      .then((show) => {
+        expect(show.filters).to.deep.equal([ 'authenticate', 'loadSession', 'cacheLookup', 'cacheStore' ]);
+        return dispatch(controller, 'index');
+      }).then((index) => {
+        expect(index.filters).to.deep.equal([ 'authenticate', 'loadSession' ]);
+        expect(store.size).to.equal(1);
+      });
+    });
+
+    it('should support asynchronous stores', function() {
+      let values = {};
+      let store = {
+        get(key) {
+          return Promise.resolve(values[key]);
+        },
+        set(key, value, ttl) {
+          values[key] = value;
+          expect(ttl).to.equal(undefined);
+          return Promise.resolve();
+        }
+      };
+      let controller = createController(store);
+      return dispatch(controller, 'index')
+      .then(() => {
+        expect(Object.keys(values)).to.deep.equal([ 'posts:1:undefined' ]);
+        return dispatch(controller, 'index');
+      }).then((result) => {
+        expect(result.body.renders).to.equal(1);
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,186 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import validate from '../lib/schema';
+import { ValidationError } from '../lib/errors';
+
+describe('schema validation', function() {
+
+  let schema = {
+    type: 'object',
+    required: [ 'title', 'author' ],
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 5 },
+      status: { enum: [ 'draft', 'published' ] },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } },
+      author: {
+        type: 'object',
+        properties: { age: { type: 'integer', minimum: 18 } }
+      }
+    }
+  };
+
+  it('returns no errors for valid values', function() {
+    let errors = validate(schema, { title: 'Hi', status: 'draft', tags: [ 'js' ], author: { age: 30 } });
+    expect(errors).to.deep.equal([]);
+  });
+
+  it('lists every failing path', function() {
+    let errors = validate(schema, {
+      title: 'Too long',
+      status: 'deleted',
+      tags: [ 'ok', 'NOPE', 'three' ],
+      author: { age: 12.5 },
+      admin: true
+    }, { path: 'body' });
+    expect(errors).to.deep.equal([
+      { path: 'body.title', message: 'should be at most 5 characters' },
+      { path: 'body.status', message: 'should be one of draft, published' },
+      { path: 'body.tags', message: 'should have at most 2 items' },
+      { path: 'body.tags[1]', message: 'should match ^[a-z]+$' },
+      { path: 'body.author.age', message: 'should be integer' },
+      { path: 'body.admin', message: 'is not allowed' }
+    ]);
+  });
+
+  it('reports missing required properties', function() {
+    expect(validate(schema, {}, { path: 'body' })).to.deep.equal([
+      { path: 'body.title', message: 'is required' },
+      { path: 'body.author', message: 'is required' }
+    ]);
+  });
+
+  it('coerces numeric and boolean strings when asked', function() {
+    let querySchema = { properties: { page: { type: 'integer', minimum: 1 }, draft: { type: 'boolean' } } };
+    expect(validate(querySchema, { page: '2', draft: 'true' }, { coerce: true })).to.deep.equal([]);
+    expect(validate(querySchema, { page: '0' }, { coerce: true })).to.deep.equal([ { path: 'page', message: 'should be at least 1' } ]);
+    expect(validate(querySchema, { page: '2' })).to.deep.equal([ { path: 'page', message: 'should be integer' } ]);
+  });
+
+  describe('validateRequest filter', function() {
+
+    let ParentController = Controller.extend({
+      validates: {
+        create: {
+          body: { type: 'object', required: [ 'title' ] },
+          query: { properties: { page: { type: 'integer' } } }
+        }
+      }
+    });
+
+    function respond(req, res) {
+      res.json({});
+      return Promise.resolve();
+    }
+
+    function run(controller, req) {
+      let result = {};
+      let res = { json() { this.headersSent = true; result.responded = true; } };
+      req.context = {};
+      return controller.action('create', req, res, (err) => {
+        result.error = err;
+      }).then(() => result);
+    }
+
+    it('rejects invalid requests with a 422 ValidationError listing every failure', function() {
+      let ChildController = ParentController.extend({ create: respond });
+      return run(new ChildController(), { body: {}, query: { page: 'two' } })
+      .then(({ error, responded }) => {
+        expect(responded).to.equal(undefined);
+        expect(error).to.be.an.instanceof(ValidationError);
+        expect(error.status).to.equal(422);
+        expect(error.errors).to.deep.equal([
+          { path: 'body.title', message: 'is required' },
+          { path: 'query.page', message: 'should be integer' }
+        ]);
+      });
+    });
+
+    it('lets valid requests through to the action', function() {
+      let ChildController = ParentController.extend({ create: respond });
+      return run(new ChildController(), { body: { title: 'Hi' }, query: { page: '2' } })
+      .then(({ error, responded }) => {
+        expect(error).to.equal(undefined);
+        expect(responded).to.equal(true);
+      });
+    });
+
+    it('lets subclasses override inherited schemas', function() {
+      let ChildController = ParentController.extend({
+        validates: {
+          create: { body: { type: 'object', required: [ 'body' ] } }
+        },
+        create: respond
+      });
+      return run(new ChildController(), { body: { title: 'Hi' }, query: { page: 'two' } })
+      .then(({ error }) => {
+        expect(error.errors).to.deep.equal([
+          { path: 'body.body', message: 'is required' },
+          { path: 'query.page', message: 'should be integer' }
+        ]);
+      });
+    });
+
+    it('runs after the declared before filters', function() {
+      let unauthorized = new Error('Unauthorized');
+      let AuthenticatedController = ParentController.extend({
+        filters() {
+          this.before('authenticate');
+        },
+        authenticate() {
+          return Promise.reject(unauthorized);
+        }
+      });
+      let ChildController = AuthenticatedController.extend({
+        filters() {
+          this.before('loadPost');
+        },
+        loadPost() {
+          return Promise.resolve();
+        },
+        create: respond
+      });
+      let names = new ChildController()._buildHandlers('create').map(({ name }) => name);
+      expect(names).to.deep.equal([ 'authenticate', 'loadPost', 'validateRequest', 'create' ]);
+      return run(new ChildController(), { body: {} })
+      .then(({ error }) => {
+        expect(error).to.equal(unauthorized);
+      });
+    });
+
+    it('stays put once other filters are positioned relative to it', function() {
+      let ChildController = ParentController.extend({
+        filters() {
+          this.before('authenticate');
+          this.before('loadPost', { after: 'validateRequest' });
+        },
+        authenticate() {
+          return Promise.resolve();
+        },
+        loadPost() {
+          return Promise.resolve();
+        },
+        create: respond
+      });
+      let names = new ChildController()._buildHandlers('create').map(({ name }) => name);
+      expect(names).to.deep.equal([ 'validateRequest', 'loadPost', 'authenticate', 'create' ]);
+    });
+
+    it('can be skipped like any other before filter', function() {
+      let ChildController = ParentController.extend({
+        filters() {
+          this.skipBefore('validateRequest', { only: 'create' });
+        },
+        create: respond
+      });
+      return run(new ChildController(), { body: {} })
+      .then(({ error, responded }) => {
+        expect(error).to.equal(undefined);
+        expect(responded).to.equal(true);
+      });
+    });
+
+  });
+
+});
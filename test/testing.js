@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+import Promise from 'bluebird';
+import Controller from '../lib/index';
+import { createRequest, createResponse, dispatch } from '../lib/testing';
+
+describe('testing', function() {
+
+  let PostsController = Controller.extend({
+    filters() {
+      this.before('authenticate');
+      this.before('loadPost', { only: 'show' });
+      this.after('audit');
+    },
+
+    authenticate(req) {
+      if (req.get('Authorization') !== 'secret') {
+        let error = new Error('Unauthorized');
+        error.status = 401;
+        return Promise.reject(error);
+      }
+      return Promise.resolve();
+    },
+    loadPost(req) {
+      this.post = { id: req.params.id, page: req.query.page };
+      return Promise.resolve();
+    },
+    audit() {
+      return Promise.resolve();
+    },
+
+    show(req, res) {
+      res.set('ETag', '"1"').status(200).json(this.post);
+      return Promise.resolve();
+    },
+    index(req, res) {
+      res.status(204).end();
+      return Promise.resolve();
+    },
+    forward(req, res, next) {
+      next();
+      return Promise.resolve();
+    }
+  });
+
+  let controller = new PostsController();
+  let headers = { Authorization: 'secret' };
+
+  it('should record the status, headers, body, and filters that ran', function() {
+    return dispatch(controller, 'show', { url: '/posts/1?page=2', params: { id: '1' }, headers })
+    .then((result) => {
+      expect(result.status).to.equal(200);
+      expect(result.headers).to.deep.equal({ etag: '"1"', 'content-type': 'application/json' });
+      expect(result.body).to.deep.equal({ id: '1', page: '2' });
+      expect(result.nextCalled).to.equal(false);
+      expect(result.error).to.equal(null);
+      expect(result.filters).to.deep.equal([ 'authenticate', 'loadPost', 'audit' ]);
+    });
+  });
+
+  it('should record errors passed on to next()', function() {
+    return dispatch(controller, 'index')
+    .then((result) => {
+      expect(result.nextCalled).to.equal(true);
+      expect(result.error.status).to.equal(401);
+      expect(result.res.headersSent).to.equal(false);
+      expect(result.filters).to.deep.equal([ 'authenticate' ]);
+    });
+  });
+
+  it('should record next() calls without an error', function() {
+    return dispatch(controller, 'forward', { headers })
+    .then((result) => {
+      expect(result.nextCalled).to.equal(true);
+      expect(result.error).to.equal(null);
+    });
+  });
+
+  it('should reject for undefined actions', function() {
+    return dispatch(controller, 'missing')
+    .then(() => {
+      throw new Error('Expected dispatch to reject');
+    }, (error) => {
+      expect(error.message).to.match(/missing/);
+    });
+  });
+
+  it('should build requests with lowercased headers and a parsed query', function() {
+    let req = createRequest({ method: 'post', url: '/posts?draft=true', headers: { 'X-Token': 'abc' } });
+    expect(req.method).to.equal('POST');
+    expect(req.path).to.equal('/posts');
+    expect(req.query).to.deep.equal({ draft: 'true' });
+    expect(req.get('x-token')).to.equal('abc');
+  });
+
+  it('should build responses that record what was sent', function() {
+    let res = createResponse();
+    res.redirect('/login');
+    expect(res.statusCode).to.equal(302);
+    expect(res.get('Location')).to.equal('/login');
+    expect(res.headersSent).to.equal(true);
+
+    res = createResponse();
+    res.write('Hello, ');
+    res.end('world');
+    expect(res.body).to.equal('Hello, world');
+  });
+
+});
@@ -0,0 +1,2 @@
+// Allows `import { dispatch } from 'foraker/testing'`
+module.exports = require('./dist/testing');